@@ -0,0 +1,33 @@
+// BeatPass public API helpers shared by youtube-sync.js (article metadata) and
+// video-api.js (beat preview renders), so both resolve a track the same way.
+//
+// Zero npm dependencies — uses only Node.js built-ins.
+
+const BEATPASS_SITE = 'https://open.beatpass.ca';
+const BEATPASS_API = `${BEATPASS_SITE}/api/v1`;
+
+function beatPassTrackUrl(trackId) {
+  return `${BEATPASS_API}/tracks/${trackId}`;
+}
+
+// `GET /tracks/:id` response → { name, image, duration, genres, artists, bpm }.
+// `image` is passed through as the API returns it (it may be site-relative);
+// `bpm` is null when the API doesn't have one.
+function normalizeBeatPassTrack(data) {
+  const t = data.track;
+  return {
+    name: t.name,
+    image: t.image,
+    duration: t.duration_text,
+    genres: t.genres.map(g => g.display_name),
+    artists: t.artists.map(a => ({ name: a.name, id: a.id })),
+    bpm: Number(t.bpm) || null,
+  };
+}
+
+// Track `image` → absolute URL (null when the track has none)
+function beatPassImageUrl(image) {
+  return image ? new URL(image, BEATPASS_SITE).toString() : null;
+}
+
+module.exports = { BEATPASS_SITE, BEATPASS_API, beatPassTrackUrl, normalizeBeatPassTrack, beatPassImageUrl };
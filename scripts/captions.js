@@ -0,0 +1,188 @@
+// Burned-in captions for the video API.
+//
+// - Accepts SRT or WebVTT text, or a structured cue list [{ start, end, text }]
+// - Validates cue timing and maps source-time cues onto a clip made of joined
+//   ranges (so cues can be written against the full video)
+// - Renders cues plus a style (font, size, colours, background box, safe-area
+//   position) to an ASS subtitle file for ffmpeg's `ass` filter (libass)
+//
+// Zero npm dependencies — uses only Node.js built-ins.
+
+const MAX_CUES = 5000;
+const MAX_CUE_TEXT = 500;
+const POSITIONS = { bottom: 2, middle: 5, top: 8 }; // ASS numpad alignment (centered)
+
+function captionError(message) {
+  const err = new Error(message);
+  err.statusCode = 400; // suggested HTTP status for API responses
+  return err;
+}
+
+// `HH:MM:SS,mmm` (SRT) or `[HH:]MM:SS.mmm` (WebVTT) → seconds
+function parseTimestamp(value) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(value.trim());
+  if (!m) return null;
+  return (Number(m[1] || 0) * 3600) + Number(m[2]) * 60 + Number(m[3]) + Number(m[4].padEnd(3, '0')) / 1000;
+}
+
+// SRT or WebVTT text → [{ start, end, text }]. Cue identifiers, WebVTT
+// NOTE/STYLE/REGION blocks, cue settings and inline tags are dropped.
+function parseCaptionFile(source) {
+  const cues = [];
+  const blocks = String(source).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(l => l.trim() !== '');
+    const timingIdx = lines.findIndex(l => l.includes('-->'));
+    if (timingIdx === -1) continue; // header, NOTE, STYLE, REGION
+    const [from, rest] = lines[timingIdx].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (start == null || end == null) throw captionError(`Invalid caption timing: ${lines[timingIdx].trim()}`);
+    const text = lines.slice(timingIdx + 1).join('\n').replace(/<[^>]+>/g, '');
+    if (text.trim()) cues.push({ start, end, text });
+  }
+  return cues;
+}
+
+// Request `captions` → validated cues in the request's own timeline. Accepts
+// { srt } | { vtt } | { cues: [{ start, end, text }] }.
+function parseCaptions(captions) {
+  if (!captions || typeof captions !== 'object') throw captionError('captions must be { srt }, { vtt } or { cues }');
+  let cues;
+  if (typeof captions.srt === 'string') cues = parseCaptionFile(captions.srt);
+  else if (typeof captions.vtt === 'string') cues = parseCaptionFile(captions.vtt);
+  else if (Array.isArray(captions.cues)) {
+    cues = captions.cues.map((c, i) => {
+      if (!c || typeof c !== 'object') throw captionError(`Invalid captions.cues[${i}]`);
+      return { start: Number(c.start), end: Number(c.end), text: String(c.text ?? '') };
+    });
+  } else {
+    throw captionError('captions must be { srt }, { vtt } or { cues }');
+  }
+
+  if (cues.length === 0) throw captionError('captions contain no cues');
+  if (cues.length > MAX_CUES) throw captionError(`Too many caption cues (max ${MAX_CUES})`);
+  cues.forEach((c, i) => {
+    if (!(c.start >= 0) || !(c.end > c.start)) throw captionError(`Caption cue ${i + 1} must start at 0s or later and end after it starts`);
+    if (!c.text.trim()) throw captionError(`Caption cue ${i + 1} has no text`);
+    if (c.text.length > MAX_CUE_TEXT) throw captionError(`Caption cue ${i + 1} is longer than ${MAX_CUE_TEXT} characters`);
+  });
+  return cues;
+}
+
+// Move cues onto the rendered clip. With `ranges` (source-time sections joined
+// back to back) cue times are source timestamps; otherwise they are clip time.
+// Cues are trimmed to the clip; one that misses it entirely is an error, since
+// it was almost certainly timed against the wrong offset.
+function mapCuesToClip(cues, { duration, ranges = null }) {
+  const pieces = ranges || [{ start: 0, end: duration }];
+  const mapped = [];
+  cues.forEach((cue, i) => {
+    let at = 0;
+    let hit = false;
+    for (const r of pieces) {
+      const start = Math.max(cue.start, r.start);
+      const end = Math.min(cue.end, r.end);
+      if (end > start) {
+        mapped.push({ start: at + start - r.start, end: Math.min(duration, at + end - r.start), text: cue.text });
+        hit = true;
+      }
+      at += r.end - r.start;
+    }
+    if (!hit) {
+      const span = ranges ? ranges.map(r => `${r.start}–${r.end}s`).join(', ') : `0–${duration}s`;
+      throw captionError(`Caption cue ${i + 1} (${cue.start}–${cue.end}s) is outside the clip (${span})`);
+    }
+  });
+  return mapped.filter(c => c.end > c.start);
+}
+
+// Request `captionStyle` → normalised style (sizes are resolved per output in buildAssSubtitles)
+function parseCaptionStyle(style) {
+  if (style == null) style = {};
+  if (typeof style !== 'object') throw captionError('captionStyle must be an object');
+  const color = (v, name, fallback) => {
+    if (v == null) return fallback;
+    if (typeof v !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(v)) throw captionError(`Invalid captionStyle.${name} (must be #RRGGBB)`);
+    return v;
+  };
+  const font = style.font == null ? 'DejaVu Sans' : String(style.font);
+  if (!/^[\w .-]{1,64}$/.test(font)) throw captionError('Invalid captionStyle.font (font family name)');
+  const position = style.position == null ? 'bottom' : style.position;
+  if (!POSITIONS[position]) throw captionError("Invalid captionStyle.position (must be 'bottom', 'middle' or 'top')");
+  const size = style.size == null ? null : Math.round(Number(style.size));
+  if (size != null && !(size >= 8 && size <= 300)) throw captionError('Invalid captionStyle.size (8–300 px)');
+  const safeArea = style.safeArea == null ? 0.08 : Number(style.safeArea);
+  if (!(safeArea >= 0 && safeArea <= 0.3)) throw captionError('Invalid captionStyle.safeArea (0–0.3, fraction of the frame)');
+  const backgroundOpacity = style.backgroundOpacity == null ? 0.6 : Number(style.backgroundOpacity);
+  if (!(backgroundOpacity >= 0 && backgroundOpacity <= 1)) throw captionError('Invalid captionStyle.backgroundOpacity (0–1)');
+
+  return {
+    font,
+    size,
+    bold: !!style.bold,
+    color: color(style.color, 'color', '#FFFFFF'),
+    background: style.background === null ? null : color(style.background, 'background', '#000000'),
+    backgroundOpacity,
+    position,
+    safeArea,
+  };
+}
+
+// '#RRGGBB' + opacity → ASS '&HAABBGGRR' (ASS alpha is inverted: 00 = opaque)
+function assColor(hex, opacity = 1) {
+  const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+  return `&H${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`.toUpperCase();
+}
+
+function assTime(seconds) {
+  const cs = Math.round(seconds * 100);
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor(cs / 6000) % 60;
+  const s = Math.floor(cs / 100) % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+// Plain cue text → ASS dialogue text (braces would open override blocks, backslashes escapes)
+function assText(text) {
+  return text.trim().replace(/\\/g, '⧵').replace(/\{/g, '(').replace(/\}/g, ')').replace(/\n/g, '\\N');
+}
+
+// Cues (clip time) + style → ASS file contents for a width×height render
+function buildAssSubtitles(cues, style, { width, height }) {
+  const size = style.size || Math.round(height * 0.045);
+  const marginV = Math.round(height * style.safeArea);
+  const marginH = Math.round(width * style.safeArea);
+  const box = style.background != null;
+  const styleLine = [
+    'Default', style.font, size,
+    assColor(style.color), assColor(style.color),
+    box ? assColor(style.background, style.backgroundOpacity) : '&H00000000',
+    box ? assColor(style.background, style.backgroundOpacity) : '&H80000000',
+    style.bold ? -1 : 0, 0, 0, 0, 100, 100, 0, 0,
+    box ? 3 : 1,                       // BorderStyle: 3 = opaque box, 1 = outline + shadow
+    box ? Math.round(size * 0.25) : 2, // Outline (box padding when boxed)
+    box ? 0 : 1,                       // Shadow
+    POSITIONS[style.position], marginH, marginH, marginV, 1,
+  ].join(',');
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${styleLine}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map(c => `Dialogue: 0,${assTime(c.start)},${assTime(c.end)},Default,,0,0,0,,${assText(c.text)}`),
+    '',
+  ].join('\n');
+}
+
+module.exports = { parseCaptions, parseCaptionFile, mapCuesToClip, parseCaptionStyle, buildAssSubtitles };
@@ -0,0 +1,197 @@
+// Streaming multipart/form-data parser for the video API.
+//
+// - Text fields are buffered (they're small: a JSON payload, a name)
+// - File parts stream straight to disk as they arrive, with backpressure
+// - Per-part size limits, a part count limit and a magic-byte check on every
+//   file part, so a renamed JPEG or a 2 GB "PNG" is refused before it lands
+//
+// Zero npm dependencies — uses only Node.js built-ins.
+
+const fs = require('fs');
+
+const MAX_HEADER_BYTES = 8 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A file part already written to disk. `head` is its first bytes (for sniffing
+// dimensions without reopening the file). Only the parser creates these, so
+// `instanceof FilePart` can't be faked by a JSON body.
+class FilePart {
+  constructor({ name, filename, contentType, path, size, head }) {
+    Object.assign(this, { name, filename, contentType, path, size, head });
+  }
+}
+
+function multipartError(message) {
+  const err = new Error(message);
+  err.statusCode = 400; // suggested HTTP status for API responses
+  return err;
+}
+
+function isMultipart(req) {
+  return /^multipart\/form-data\s*;/i.test(req.headers['content-type'] || '');
+}
+
+// Content-Disposition / Content-Type headers of one part
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split('\r\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const disposition = headers['content-disposition'] || '';
+  const param = (key) => {
+    const m = new RegExp(`;\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition) || new RegExp(`;\\s*${key}=([^;\\s]+)`, 'i').exec(disposition);
+    return m ? m[1].replace(/\\(.)/g, '$1') : null;
+  };
+  if (!/^form-data\b/i.test(disposition)) return null;
+  return { name: param('name'), filename: param('filename'), contentType: headers['content-type'] || null };
+}
+
+// Parse a multipart/form-data request → { fields: { name: string }, files: { name: FilePart } }.
+//   filePath(name)   → where to write a file part (called once per accepted part)
+//   acceptFile(name) → false refuses the request before anything is written
+//   signature        → bytes every file part must start with (e.g. PNG_SIGNATURE),
+//                      `fileType` names it in the error
+// Rejects with statusCode 400; files written so far are removed on failure.
+function parseMultipart(req, { filePath, acceptFile = () => true, signature = null, fileType = 'file', maxFileSize = 20 * 1024 * 1024, maxFieldSize = 1024 * 1024, maxParts = 20, maxTotal = 64 * 1024 * 1024 }) {
+  return new Promise((resolve, reject) => {
+    const m = /;\s*boundary=(?:"([^"]{1,70})"|([^;\s]{1,70}))/i.exec(req.headers['content-type'] || '');
+    if (!m) return reject(multipartError('Missing multipart boundary'));
+    const delimiter = Buffer.from(`\r\n--${m[1] || m[2]}`);
+    const headerEnd = Buffer.from('\r\n\r\n');
+
+    const fields = {};
+    const files = {};
+    const pending = []; // resolve when each file's write stream has closed
+    const streams = [];
+    let state = 'preamble'; // preamble → boundary → headers → body → boundary … → done
+    let buf = Buffer.from('\r\n'); // lets the first delimiter match like the rest
+    let part = null;
+    let parts = 0;
+    let total = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      for (const ws of streams) ws.destroy();
+      for (const file of Object.values(files)) fs.unlink(file.path, () => {});
+      if (part && part.file) fs.unlink(part.file.path, () => {});
+      req.resume(); // drain the rest so a 400 can still be sent
+      reject(err);
+    };
+
+    const startPart = (raw) => {
+      const info = parsePartHeaders(raw);
+      if (!info || !info.name) throw multipartError('Multipart part without a form-data name');
+      if (++parts > maxParts) throw multipartError(`Too many multipart parts (max ${maxParts})`);
+      if (Object.prototype.hasOwnProperty.call(fields, info.name) || files[info.name]) {
+        throw multipartError(`Duplicate multipart part: ${info.name}`);
+      }
+      if (info.filename == null) return { info, chunks: [], size: 0 };
+      if (!acceptFile(info.name)) throw multipartError(`Unexpected file part: ${info.name}`);
+      return { info, size: 0, head: Buffer.alloc(0), ws: null, file: new FilePart({ ...info, path: filePath(info.name), size: 0, head: null }) };
+    };
+
+    const writePart = (data) => {
+      if (data.length === 0) return;
+      part.size += data.length;
+      if (!part.file) {
+        if (part.size > maxFieldSize) throw multipartError(`Field ${part.info.name} is too large (max ${maxFieldSize} bytes)`);
+        part.chunks.push(data);
+        return;
+      }
+      if (part.size > maxFileSize) throw multipartError(`File ${part.info.name} is too large (max ${Math.round(maxFileSize / 1024 / 1024)} MB)`);
+      if (!part.ws) {
+        // Hold the first bytes back until the signature can be checked
+        part.head = Buffer.concat([part.head, data]);
+        if (part.head.length < Math.max(signature ? signature.length : 0, 32)) return;
+        openFile();
+        data = part.head;
+      }
+      if (!part.ws.write(data)) {
+        req.pause();
+        part.ws.once('drain', () => req.resume());
+      }
+    };
+
+    const openFile = () => {
+      if (signature && !part.head.subarray(0, signature.length).equals(signature)) {
+        throw multipartError(`File ${part.info.name} is not a valid ${fileType}`);
+      }
+      part.file.head = part.head.subarray(0, 32);
+      part.ws = fs.createWriteStream(part.file.path);
+      streams.push(part.ws);
+      part.ws.on('error', fail);
+      pending.push(new Promise(res => part.ws.on('close', res)));
+    };
+
+    const endPart = () => {
+      if (!part.file) {
+        fields[part.info.name] = Buffer.concat(part.chunks).toString('utf8');
+      } else {
+        if (!part.ws) openFile(); // short file: signature check on what there is
+        part.ws.end();
+        part.file.size = part.size;
+        files[part.info.name] = part.file;
+      }
+      part = null;
+    };
+
+    const consume = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const idx = buf.indexOf(delimiter);
+          if (idx === -1) {
+            // Keep a tail that could be the start of a delimiter split across chunks
+            const keep = Math.min(buf.length, delimiter.length - 1);
+            if (state === 'body') writePart(buf.subarray(0, buf.length - keep));
+            buf = buf.subarray(buf.length - keep);
+            return;
+          }
+          if (state === 'body') { writePart(buf.subarray(0, idx)); endPart(); }
+          buf = buf.subarray(idx + delimiter.length);
+          state = 'boundary';
+        } else if (state === 'boundary') {
+          if (buf.length < 2) return;
+          const next = buf.toString('latin1', 0, 2);
+          if (next === '--') { state = 'done'; return; }
+          if (next !== '\r\n') throw multipartError('Malformed multipart body');
+          buf = buf.subarray(2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const idx = buf.indexOf(headerEnd);
+          if (idx === -1) {
+            if (buf.length > MAX_HEADER_BYTES) throw multipartError('Multipart part headers too large');
+            return;
+          }
+          part = startPart(buf.toString('utf8', 0, idx));
+          buf = buf.subarray(idx + headerEnd.length);
+          state = 'body';
+        } else {
+          return; // done — ignore the epilogue
+        }
+      }
+    };
+
+    req.on('data', chunk => {
+      total += chunk.length;
+      if (total > maxTotal) {
+        fail(multipartError('Body too large'));
+        req.destroy();
+        return;
+      }
+      if (failed || state === 'done') return;
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      try { consume(); } catch (err) { fail(err); }
+    });
+    req.on('end', () => {
+      if (failed) return;
+      if (state !== 'done') return fail(multipartError('Malformed multipart body (unexpected end)'));
+      Promise.all(pending).then(() => { if (!failed) resolve({ fields, files }); });
+    });
+    req.on('error', fail);
+  });
+}
+
+module.exports = { FilePart, PNG_SIGNATURE, isMultipart, parseMultipart };
@@ -0,0 +1,227 @@
+// Safe outbound fetch for user-supplied URLs (image proxy, GIF downloads).
+//
+// - Only http/https, optional host allowlist
+// - Resolves DNS itself and refuses private, loopback, link-local and other
+//   non-public addresses; the check runs on the socket's own lookup, so it
+//   also covers every redirect hop and can't be bypassed by DNS rebinding
+// - Enforces allowed content types and a maximum body size (Content-Length
+//   up front, streamed byte count as the body arrives)
+//
+// Zero npm dependencies — uses only Node.js built-ins.
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs');
+const { Transform } = require('stream');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 3;
+const USER_AGENT = 'Mozilla/5.0';
+
+// Non-public ranges (RFC 6890 special-purpose registries, plus multicast/reserved)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([addr, prefix]) => blockedAddresses.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  ['2001:db8::', 32], ['100::', 64],
+].forEach(([addr, prefix]) => blockedAddresses.addSubnet(addr, prefix, 'ipv6'));
+
+function createFetchError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode; // suggested HTTP status for API responses
+  err.code = code;
+  return err;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) embed an IPv4 address
+  const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+  if (embedded) return blockedAddresses.check(embedded[1], 'ipv4');
+  if (/^::ffff:/i.test(address) || /^64:ff9b::/i.test(address)) return true; // hex-form embedded v4
+  return blockedAddresses.check(address, 'ipv6');
+}
+
+function isHostAllowed(hostname, allowedHosts) {
+  if (!allowedHosts || allowedHosts.length === 0) return true;
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+// dns.lookup replacement for http.get: resolve every address, refuse if any is non-public
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(createFetchError(`Blocked address ${blocked.address} for host ${hostname}`, 403, 'BLOCKED_ADDRESS'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkUrl(target, allowedHosts) {
+  let parsed;
+  try { parsed = new URL(target); }
+  catch { throw createFetchError(`Invalid URL: ${target}`, 400, 'INVALID_URL'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw createFetchError('Only http/https URLs allowed', 400, 'INVALID_URL');
+  }
+  if (parsed.username || parsed.password) {
+    throw createFetchError('URLs with credentials are not allowed', 400, 'INVALID_URL');
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!isHostAllowed(hostname, allowedHosts)) {
+    throw createFetchError(`Host not allowed: ${hostname}`, 403, 'HOST_NOT_ALLOWED');
+  }
+  // IP literals never reach the lookup hook, so check them here
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw createFetchError(`Blocked address ${hostname}`, 403, 'BLOCKED_ADDRESS');
+  }
+  return parsed;
+}
+
+function matchesContentType(contentType, allowed) {
+  if (!allowed || allowed.length === 0) return true;
+  const ct = (contentType || '').split(';')[0].trim().toLowerCase();
+  return allowed.some(a => (a.endsWith('/') ? ct.startsWith(a) : ct === a));
+}
+
+// Pass-through stream that errors once more than maxBytes have gone through
+function byteLimiter(maxBytes, onBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length;
+      if (maxBytes && received > maxBytes) {
+        return cb(createFetchError(`Response exceeds ${maxBytes} bytes`, 413, 'TOO_LARGE'));
+      }
+      if (onBytes) onBytes(received);
+      cb(null, chunk);
+    },
+  });
+}
+
+/**
+ * Fetch a user-supplied URL with SSRF and size protections.
+ *
+ * @param {string} target
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes]        hard cap on the response body
+ * @param {string[]} [opts.contentTypes]  allowed types; entries ending in `/` match a prefix (`image/`)
+ * @param {string[]} [opts.allowedHosts]  if non-empty, only these hosts (and their subdomains)
+ * @param {number} [opts.maxRedirects]
+ * @param {number} [opts.timeout]         socket idle timeout in ms
+ * @param {object} [opts.headers]         extra request headers (e.g. If-None-Match)
+ * @param {boolean} [opts.allowNotModified] resolve 304 responses (with `body: null`) instead of failing
+ * @param {function} [opts.onRequest]     receives each outgoing ClientRequest (for aborting)
+ * @param {function} [opts.onBytes]       (received, total) as the body streams
+ * @returns {Promise<{ status, headers, contentType, contentLength, url, body }>}
+ *   `body` is a readable stream capped at maxBytes.
+ */
+function safeFetch(target, opts = {}, redirectCount = 0) {
+  const {
+    maxBytes = 0,
+    contentTypes = null,
+    allowedHosts = null,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    timeout = DEFAULT_TIMEOUT_MS,
+    headers = {},
+    allowNotModified = false,
+    onRequest,
+    onBytes,
+  } = opts;
+
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try { parsed = checkUrl(target, allowedHosts); }
+    catch (err) { return reject(err); }
+
+    const proto = parsed.protocol === 'https:' ? https : http;
+    const req = proto.get(parsed, {
+      timeout,
+      lookup: guardedLookup,
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+    }, (upstream) => {
+      const { statusCode } = upstream;
+
+      if (statusCode >= 300 && statusCode < 400 && upstream.headers.location) {
+        upstream.resume();
+        if (redirectCount >= maxRedirects) {
+          return reject(createFetchError('Too many redirects', 502, 'TOO_MANY_REDIRECTS'));
+        }
+        const next = new URL(upstream.headers.location, parsed).toString();
+        return safeFetch(next, opts, redirectCount + 1).then(resolve, reject);
+      }
+      if (statusCode === 304 && allowNotModified) {
+        upstream.resume();
+        return resolve({ status: 304, headers: upstream.headers, contentType: null, contentLength: 0, url: parsed.toString(), body: null });
+      }
+      if (statusCode !== 200) {
+        upstream.resume();
+        return reject(createFetchError(`Upstream returned HTTP ${statusCode}`, 502, 'UPSTREAM_STATUS'));
+      }
+
+      const contentType = upstream.headers['content-type'] || '';
+      if (!matchesContentType(contentType, contentTypes)) {
+        upstream.resume();
+        return reject(createFetchError(`Unsupported content type: ${contentType || 'none'}`, 415, 'UNSUPPORTED_TYPE'));
+      }
+      const contentLength = Number(upstream.headers['content-length']) || 0;
+      if (maxBytes && contentLength > maxBytes) {
+        upstream.destroy();
+        return reject(createFetchError(`Response exceeds ${maxBytes} bytes`, 413, 'TOO_LARGE'));
+      }
+
+      const body = byteLimiter(maxBytes, onBytes && (received => onBytes(received, contentLength)));
+      upstream.on('aborted', () => body.destroy(createFetchError('Upstream connection aborted', 502, 'ABORTED')));
+      upstream.on('error', err => body.destroy(err));
+      upstream.pipe(body);
+      resolve({ status: statusCode, headers: upstream.headers, contentType, contentLength, url: parsed.toString(), body });
+    });
+
+    if (onRequest) onRequest(req);
+    req.on('timeout', () => req.destroy(createFetchError('Upstream timed out', 504, 'TIMEOUT')));
+    req.on('error', err => reject(err.statusCode ? err : createFetchError(`Upstream fetch failed: ${err.message}`, 502, 'FETCH_FAILED')));
+  });
+}
+
+// safeFetch straight to a file; removes the partial file on failure
+async function safeFetchToFile(target, destPath, opts = {}) {
+  const result = await safeFetch(target, opts);
+  await new Promise((resolve, reject) => {
+    const ws = fs.createWriteStream(destPath);
+    const fail = (err) => {
+      ws.destroy();
+      fs.unlink(destPath, () => {});
+      reject(err);
+    };
+    result.body.on('error', fail);
+    ws.on('error', fail);
+    ws.on('finish', resolve);
+    result.body.pipe(ws);
+  });
+  return result;
+}
+
+// safeFetch into memory (keep maxBytes small); `buffer` is null for a 304
+async function safeFetchBuffer(target, opts = {}) {
+  const result = await safeFetch(target, opts);
+  if (!result.body) return { ...result, buffer: null };
+  const chunks = [];
+  for await (const chunk of result.body) chunks.push(chunk);
+  return { ...result, buffer: Buffer.concat(chunks) };
+}
+
+module.exports = { safeFetch, safeFetchToFile, safeFetchBuffer, isBlockedAddress, createFetchError };
@@ -5,9 +5,57 @@
  * slide overlay PNG with ffmpeg, and serves the result from same-origin.
  *
  * Endpoints:
- *   GET  /status          → health check
- *   POST /export          → start a video export job
- *   GET  /status/:jobId   → poll job progress
+ *   GET  /status          → health check (the only unauthenticated endpoint); with a
+ *                           valid token also job count, queue and cache hit/miss stats
+ *   POST /auth/token      → mint a short-lived API token (shared secret only)
+ *   POST /export          → start a video export job; startTime/endTime or
+ *                           ranges pick the clip (only those sections are
+ *                           downloaded), timeline 'source' shows source time;
+ *                           with targets[] (one overlay per aspect ratio) it
+ *                           starts a job group whose status has a manifest;
+ *                           captions (SRT/WebVTT/cues) + captionStyle burn in
+ *                           subtitles (also on /podcast-export)
+ *   POST /gif-export      → start a GIF + overlay export job
+ *   POST /image-export    → start a still image + overlay export job
+ *                           (/export, /gif-export and /image-export take fit
+ *                           cover | contain | blur-fill, and focus {x,y} |
+ *                           'auto' or a crop rectangle instead of a center crop)
+ *   POST /beat-preview    → start a BeatPass track teaser render (artwork,
+ *                           title, producer, BPM, visualizer/progress bar)
+ *                           from uploaded audio or a file in VIDEO_API_BEAT_AUDIO_DIR
+ *   POST /podcast-export  → start a podcast render from an uploaded session;
+ *                           chapters [{start, title}] become MP4 chapters (plus
+ *                           an optional on-screen chapterTitle) and the job
+ *                           result carries a YouTube description chapter list
+ *                           audioProcessing { loudness (target LUFS), trimSilence,
+ *                           limiter } normalizes the audio first (measured
+ *                           loudness in the job result)
+ *   POST /podcast-upload-chunk → one chunk of podcast audio; chunks may arrive in
+ *                           any order or be resent, with per-chunk and whole-file SHA-256
+ *                           (the finished file is ffprobe'd: non-audio is rejected, and
+ *                           its real duration/codec drive /podcast-export)
+ *   GET  /podcast-upload/:sessionId → upload progress and the chunks still missing
+ *   GET  /status/:jobId   → poll job progress (incl. ETA and queue position)
+ *   GET  /presets         → output presets (size, fps, bitrate cap, max duration,
+ *                           audio) the render endpoints accept as `preset`
+ *   GET  /branding        → intro/outro bumpers and watermarks (VIDEO_API_BRANDING_DIR)
+ *                           that /export, /gif-export and /podcast-export add with
+ *                           branding { intro, outro, watermark, crossfade }
+ *   GET  /image-proxy?url= → fetch a public image for the canvas (SSRF-guarded, disk-cached)
+ *   GET  /jobs/:jobId/events → Server-Sent Events stream of job status/progress
+ *   DELETE /jobs/:jobId   → cancel a job of any type (also POST /jobs/:jobId/cancel)
+ *
+ * /export, /gif-export, /image-export and /podcast-export take JSON with PNG
+ * layers as data URLs, or multipart/form-data: the same JSON as a `json` field
+ * plus PNG file parts named overlayPng, framePng, frameLitPng or
+ * targets[i].overlayPng, streamed to disk instead of decoded in memory.
+ *
+ * Renders go through one FIFO queue with a worker limit per job type
+ * (VIDEO_API_EXPORT_WORKERS, VIDEO_API_GIF_WORKERS, VIDEO_API_IMAGE_WORKERS,
+ * VIDEO_API_BEAT_WORKERS, VIDEO_API_PODCAST_WORKERS).
+ *
+ * Job state is persisted to video-api-jobs.json; on restart finished jobs are
+ * reloaded and interrupted ones are reported as failed.
  *
  * Zero npm dependencies — uses only Node.js built-ins.
  */
@@ -17,6 +65,11 @@ const { execFile, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+require('./load-env');
+const { safeFetchToFile, safeFetchBuffer } = require('./safe-fetch');
+const { beatPassTrackUrl, normalizeBeatPassTrack, beatPassImageUrl } = require('./beatpass-api');
+const { parseCaptions, mapCuesToClip, parseCaptionStyle, buildAssSubtitles } = require('./captions');
+const { FilePart, PNG_SIGNATURE, isMultipart, parseMultipart } = require('./multipart');
 
 // ── Config ──────────────────────────────────────────────────────────────────
 
@@ -24,16 +77,61 @@ const PORT = 3100;
 const BASE_DIR = path.resolve(__dirname, '..');
 const YT_DLP = path.join(__dirname, 'bin', 'yt-dlp');
 const FFMPEG = '/usr/bin/ffmpeg';
+const FFPROBE = '/usr/bin/ffprobe';
 const CACHE_DIR = path.join(__dirname, 'video-cache');
 const OUTPUT_DIR = path.join(BASE_DIR, 'content', 'themes', 'aspect', 'assets', 'content-designer', 'videos');
 const TEMP_DIR = path.join(__dirname, 'video-tmp');
-const MAX_CACHED_RAW = 5;
+const VIDEO_CACHE_INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+const VIDEO_CACHE_MAX_BYTES = (Number(process.env.VIDEO_API_VIDEO_CACHE_MB) || 4096) * 1024 * 1024;
+const IMAGE_CACHE_DIR = path.join(__dirname, 'image-cache');
+const IMAGE_CACHE_INDEX_FILE = path.join(IMAGE_CACHE_DIR, 'index.json');
+const IMAGE_CACHE_MAX_BYTES = (Number(process.env.VIDEO_API_IMAGE_CACHE_MB) || 500) * 1024 * 1024;
+const IMAGE_CACHE_FRESH_MS = 60 * 60 * 1000; // serve without revalidating for 1h (same as our Cache-Control)
 const MAX_OUTPUT_AGE_MS = 10 * 60 * 1000; // 10 minutes
 const MAX_PODCAST_OUTPUT_AGE_MS = 15 * 60 * 1000; // 15 minutes (auto-deleted after download anyway)
 const MAX_TEMP_AGE_MS = 30 * 60 * 1000; // 30 minutes (podcast renders can take 10+ min)
 const ABANDON_TIMEOUT_MS = 2 * 60 * 1000; // 2 min no poll = abandoned job
+const SSE_HEARTBEAT_MS = 15 * 1000; // keeps proxies from closing idle event streams
+const SSE_PROGRESS_INTERVAL_MS = 250; // max progress event rate per job
 const PODCAST_DOWNLOADED_DELETE_DELAY_MS = 2 * 60 * 1000; // grace period so browser can fetch file
 const MAX_PODCAST_UPLOAD_BYTES = 200 * 1024 * 1024; // 200 MB limit for podcast audio uploads
+const MAX_PODCAST_DURATION_S = 7200;
+const MAX_JSON_BODY_BYTES = 30 * 1024 * 1024; // JSON request body, or the `json` field of a multipart one
+const MAX_PNG_PART_BYTES = 20 * 1024 * 1024; // per PNG file part of a multipart render request
+const MAX_PROXY_IMAGE_BYTES = 15 * 1024 * 1024; // /image-proxy response cap
+// Raster only: SVG served from the API's origin could run script
+const PROXY_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_GIF_BYTES = 50 * 1024 * 1024; // /gif-export source GIF cap
+const MAX_SOURCE_TIME_S = 12 * 60 * 60; // /export startTime/endTime/ranges upper bound
+const MAX_EXPORT_DURATION_S = 120;
+const MAX_EXPORT_RANGES = 10;
+const MAX_EXPORT_TARGETS = 6; // renders per fan-out /export
+const MAX_BEAT_PREVIEW_S = 60;
+// Optional directory of beat audio that /beat-preview may read by relative `audioFile`
+const BEAT_AUDIO_DIR = process.env.VIDEO_API_BEAT_AUDIO_DIR || '';
+// Optional directory of intro/outro bumpers and watermarks, described by its branding.json
+const BRANDING_DIR = process.env.VIDEO_API_BRANDING_DIR || '';
+const MAX_BUMPER_S = 30;
+// Optional comma-separated host allowlist for /image-proxy and GIF downloads (subdomains match)
+const FETCH_ALLOWED_HOSTS = (process.env.VIDEO_API_FETCH_ALLOWED_HOSTS || '')
+  .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const JOBS_STATE_FILE = path.join(__dirname, 'video-api-jobs.json');
+// Concurrent renders allowed per job type (extra jobs wait in the FIFO queue)
+const RENDER_WORKERS = {
+  export: Math.max(1, Number(process.env.VIDEO_API_EXPORT_WORKERS) || 2),
+  gif: Math.max(1, Number(process.env.VIDEO_API_GIF_WORKERS) || 2),
+  image: Math.max(1, Number(process.env.VIDEO_API_IMAGE_WORKERS) || 2),
+  beat: Math.max(1, Number(process.env.VIDEO_API_BEAT_WORKERS) || 1),
+  podcast: Math.max(1, Number(process.env.VIDEO_API_PODCAST_WORKERS) || 1),
+};
+// Auth: shared secret from .env. Clients send it (server-to-server) or a short-lived
+// token minted from it via POST /auth/token, as `Authorization: Bearer …` or ?token=
+const API_SECRET = process.env.VIDEO_API_SECRET || '';
+const TOKEN_DEFAULT_TTL_S = 15 * 60;
+const TOKEN_MAX_TTL_S = 12 * 60 * 60;
+const RATE_LIMIT_PER_MIN = Number(process.env.VIDEO_API_RATE_LIMIT_PER_MIN) || 600;    // all requests
+const RENDER_LIMIT_PER_HOUR = Number(process.env.VIDEO_API_RENDER_LIMIT_PER_HOUR) || 60; // new render jobs
+const RENDER_ENDPOINTS = ['/export', '/gif-export', '/image-export', '/beat-preview', '/podcast-export'];
 const ALLOWED_ORIGINS = [
   'https://blog.beatpass.ca',
   'http://localhost:5173',
@@ -42,28 +140,384 @@ const ALLOWED_ORIGINS = [
 
 // ── Ensure directories ──────────────────────────────────────────────────────
 
-[CACHE_DIR, OUTPUT_DIR, TEMP_DIR].forEach(d => fs.mkdirSync(d, { recursive: true }));
+[CACHE_DIR, OUTPUT_DIR, TEMP_DIR, IMAGE_CACHE_DIR].forEach(d => fs.mkdirSync(d, { recursive: true }));
 
-// ── Job store (in-memory) ───────────────────────────────────────────────────
+// ── Job store (persisted to disk) ───────────────────────────────────────────
+//
+// Jobs live in memory for fast access and are mirrored to JOBS_STATE_FILE so a
+// service restart (systemd Restart=always) doesn't lose them. Only plain state
+// is persisted — opts (PNG data URLs) and `_`-prefixed runtime handles are not.
 
 const jobs = new Map();
+const ACTIVE_STATUSES = ['queued', 'downloading', 'compositing', 'rendering'];
+const FINISHED_STATUSES = ['ready', 'error', 'cancelled'];
+const PERSISTED_JOB_FIELDS = [
+  'id', 'type', 'videoId', 'status', 'progress', 'url', 'error',
+  'createdAt', 'startedAt', 'updatedAt', 'finishedAt', 'lastPolled', 'outputPath', 'files',
+  'groupId', 'target', 'children', 'manifest', 'result',
+];
+let saveJobsTimer = null;
 
-function createJob(videoId, opts) {
+function createJob(type, videoId, opts) {
   const jobId = crypto.randomBytes(8).toString('hex');
+  const now = Date.now();
   const job = {
     id: jobId,
+    type,             // export | gif | image | beat | podcast — selects the worker pool; group — fan-out parent, never queued
     videoId,
-    status: 'downloading', // downloading → compositing → ready | error
+    status: 'queued', // queued → downloading/rendering → compositing → ready | error | cancelled
     progress: 0,
     url: null,
     error: null,
-    createdAt: Date.now(),
+    createdAt: now,
+    startedAt: null,  // when a worker picked it up (ETA is measured from here)
+    updatedAt: now,
+    finishedAt: null,
+    outputPath: null, // final MP4 in OUTPUT_DIR
+    files: [],        // temp files owned by this job (removed when it finishes)
     opts,
   };
+  // PNG layers uploaded as multipart file parts become the job's temp files
+  for (const value of Object.values(opts || {})) {
+    if (value instanceof FilePart) { value.claimed = true; job.files.push(value.path); }
+  }
   jobs.set(jobId, job);
+  scheduleSaveJobs();
   return job;
 }
 
+// Apply a state change and queue a write of the job store
+function updateJob(job, patch) {
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  if (FINISHED_STATUSES.includes(patch.status)) job.finishedAt = job.updatedAt;
+  scheduleSaveJobs();
+  if (patch.status) emitJobEvent(job, FINISHED_STATUSES.includes(job.status) ? job.status : 'status');
+  if (patch.status && job.groupId) refreshJobGroup(job.groupId);
+}
+
+// Progress only moves forward. The ETA extrapolates the average rate since the
+// job left the queue — good enough now that every phase reports real progress.
+function setJobProgress(job, progress) {
+  if (!(progress > job.progress)) return;
+  job.progress = Math.min(1, progress);
+  const elapsed = job.startedAt ? Date.now() - job.startedAt : 0;
+  job.eta = elapsed > 2000 && job.progress > 0.02 && job.progress < 1
+    ? Math.round(elapsed * (1 - job.progress) / job.progress / 1000)
+    : null;
+
+  const now = Date.now();
+  if (!job._progressEmittedAt || now - job._progressEmittedAt >= SSE_PROGRESS_INTERVAL_MS) {
+    job._progressEmittedAt = now;
+    emitJobEvent(job, 'progress');
+  }
+  if (job.groupId) refreshJobGroup(job.groupId);
+}
+
+// Public view of a job — shared by GET /status/:jobId and the SSE stream
+function jobSnapshot(job) {
+  const snapshot = {
+    status: job.status,
+    progress: job.progress,
+    eta: ACTIVE_STATUSES.includes(job.status) ? (job.eta ?? null) : null, // seconds remaining (estimate)
+    queuePosition: queuePosition(job),
+    url: job.url,
+    error: job.error,
+  };
+  if (job.type === 'group') {
+    snapshot.renders = groupRenders(job).map(r => ({
+      target: r.target, jobId: r.id, status: r.status, progress: r.progress, url: r.url,
+    }));
+    snapshot.manifest = job.manifest || null; // { [target]: { url, width, height } } once all are ready
+  }
+  if (job.result) snapshot.result = job.result; // job-type specific details (e.g. resolved track metadata)
+  return snapshot;
+}
+
+// Register a temp file as belonging to a job (startup cleanup keeps owned files)
+function jobTempFile(job, name) {
+  const fp = path.join(TEMP_DIR, `${job.id}_${name}`);
+  if (!job.files.includes(fp)) job.files.push(fp);
+  return fp;
+}
+
+function removeJobFiles(job, { keepOutput = false } = {}) {
+  for (const fp of job.files) fs.unlink(fp, () => {});
+  if (!keepOutput && job.outputPath) fs.unlink(job.outputPath, () => {});
+}
+
+// Stop a queued or running job of any type: drop it from the queue, abort its
+// download, kill its yt-dlp/ffmpeg child and remove its files. The job's own
+// catch block sees status 'cancelled' and leaves it alone.
+function cancelJob(job, reason) {
+  const wasQueued = removeFromQueue(job);
+  if (job._downloadReq) { try { job._downloadReq.destroy(); } catch {} }
+  leaveVideoDownload(job);
+  killProcess(job._proc);
+  unpinJobVideos(job);
+  updateJob(job, { status: 'cancelled', error: reason });
+  removeJobFiles(job);
+  for (const render of groupRenders(job)) {
+    if (ACTIVE_STATUSES.includes(render.status)) cancelJob(render, reason);
+  }
+  return wasQueued;
+}
+
+// Shared by the cancel routes: finished jobs are left alone (409), so a late or
+// repeated cancel can't delete a ready job's output.
+function cancelJobRequest(res, job) {
+  if (!job) return sendJSON(res, 404, { error: 'Job not found' });
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    return sendJSON(res, 409, { error: `Job already finished (${job.status})`, status: job.status });
+  }
+  const wasQueued = cancelJob(job, 'Cancelled by user');
+  log(`Job ${job.id} (${job.type}): cancelled (${wasQueued ? 'removed from queue' : 'stopped'})`);
+  return sendJSON(res, 200, { ok: true, status: job.status });
+}
+
+function groupRenders(group) {
+  return (group.children || []).map(id => jobs.get(id)).filter(Boolean);
+}
+
+// A fan-out group's state is derived from its renders: ready (with a manifest
+// of output URLs) once all of them are, and ended by the first one to fail or
+// be cancelled — the rest are cancelled with it.
+function refreshJobGroup(groupId) {
+  const group = jobs.get(groupId);
+  if (!group || FINISHED_STATUSES.includes(group.status)) return;
+  const renders = groupRenders(group);
+
+  const failed = renders.find(r => r.status === 'error' || r.status === 'cancelled');
+  if (failed) {
+    updateJob(group, { status: failed.status, error: `${failed.target}: ${failed.error}` });
+    for (const r of renders) {
+      if (ACTIVE_STATUSES.includes(r.status)) cancelJob(r, `Cancelled (${failed.target} ${failed.status === 'error' ? 'failed' : 'was cancelled'})`);
+    }
+    return;
+  }
+
+  if (renders.every(r => r.status === 'ready')) {
+    const manifest = {};
+    for (const r of renders) manifest[r.target] = { url: r.url, width: r.opts.width, height: r.opts.height };
+    updateJob(group, { status: 'ready', progress: 1, manifest });
+    log(`  Group ${group.id} ready (${renders.length} renders)`);
+    return;
+  }
+
+  const status = renders.some(r => r.status === 'compositing') ? 'compositing'
+    : renders.some(r => r.status === 'downloading') ? 'downloading'
+    : 'queued';
+  if (status !== group.status) {
+    if (!group.startedAt && status !== 'queued') group.startedAt = Date.now();
+    updateJob(group, { status });
+  }
+  setJobProgress(group, renders.reduce((sum, r) => sum + r.progress, 0) / renders.length);
+}
+
+// yt-dlp runs detached so its ffmpeg merge child can be killed with it (whole
+// process group); plain ffmpeg children fall through to a direct kill.
+function killProcess(proc) {
+  if (!proc || proc.exitCode !== null) return;
+  try { process.kill(-proc.pid, 'SIGKILL'); }
+  catch { try { proc.kill('SIGKILL'); } catch {} }
+}
+
+function saveJobs() {
+  clearTimeout(saveJobsTimer);
+  saveJobsTimer = null;
+  const state = [];
+  for (const job of jobs.values()) {
+    const entry = {};
+    for (const key of PERSISTED_JOB_FIELDS) entry[key] = job[key];
+    state.push(entry);
+  }
+  // Write-then-rename so a crash mid-write never leaves a truncated store
+  const tmpFile = `${JOBS_STATE_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({ jobs: state }, null, 2), 'utf8');
+    fs.renameSync(tmpFile, JOBS_STATE_FILE);
+  } catch (err) {
+    log(`  Job store write failed: ${err.message}`);
+  }
+}
+
+function scheduleSaveJobs() {
+  if (!saveJobsTimer) saveJobsTimer = setTimeout(saveJobs, 500);
+}
+
+// Reload jobs from the previous run. Finished jobs come back as-is (as long as
+// their output still exists); anything that was mid-render is marked failed.
+function restoreJobs() {
+  let state;
+  try { state = JSON.parse(fs.readFileSync(JOBS_STATE_FILE, 'utf8')); }
+  catch { return; }
+
+  let restored = 0;
+  let interrupted = 0;
+  const now = Date.now();
+  for (const entry of state.jobs || []) {
+    if (!entry || !/^[a-f0-9]{16}$/.test(entry.id)) continue;
+    const job = { ...entry, files: Array.isArray(entry.files) ? entry.files : [], opts: {} };
+    if (!job.type) job.type = job.videoId === 'podcast' ? 'podcast' : 'export';
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      removeJobFiles(job);
+      Object.assign(job, {
+        status: 'error',
+        error: 'Interrupted by a server restart. Please start the export again.',
+        updatedAt: now,
+        finishedAt: now,
+      });
+      interrupted++;
+    } else if (job.status === 'ready' && job.type !== 'group' && (!job.outputPath || !fs.existsSync(job.outputPath))) {
+      Object.assign(job, { status: 'error', url: null, error: 'Output file no longer available', updatedAt: now });
+    }
+
+    jobs.set(job.id, job);
+    restored++;
+  }
+
+  // A group is only as ready as its renders
+  for (const job of jobs.values()) {
+    if (job.type !== 'group' || job.status !== 'ready') continue;
+    if (!groupRenders(job).every(r => r.status === 'ready')) {
+      Object.assign(job, { status: 'error', manifest: null, error: 'Output files no longer available', updatedAt: now });
+    }
+  }
+
+  log(`  Restored ${restored} jobs from ${path.basename(JOBS_STATE_FILE)}${interrupted ? ` (${interrupted} interrupted → error)` : ''}`);
+  saveJobs();
+}
+
+// ── Render queue ────────────────────────────────────────────────────────────
+//
+// One FIFO shared by every render type. A job starts as soon as its type has a
+// free worker (RENDER_WORKERS), so a long podcast never blocks overlay exports.
+
+const renderQueue = []; // [{ job, run, resolve, reject }] in submission order
+const activeRenders = { export: 0, gif: 0, image: 0, beat: 0, podcast: 0 };
+
+// Queue a job; resolves/rejects with run(job) once a worker has picked it up and finished
+function enqueueJob(job, run) {
+  return new Promise((resolve, reject) => {
+    renderQueue.push({ job, run, resolve, reject });
+    updateJob(job, { status: 'queued' });
+    pumpQueue();
+  });
+}
+
+function pumpQueue() {
+  for (let i = 0; i < renderQueue.length;) {
+    const entry = renderQueue[i];
+    const { type } = entry.job;
+    if (activeRenders[type] >= RENDER_WORKERS[type]) { i++; continue; }
+
+    renderQueue.splice(i, 1);
+    activeRenders[type]++;
+    entry.job.startedAt = Date.now();
+    // Everyone behind it moved up one place
+    for (const waiting of renderQueue) {
+      if (waiting.job.type === type) emitJobEvent(waiting.job, 'status');
+    }
+    log(`  Queue: starting ${type} job ${entry.job.id} (${activeRenders[type]}/${RENDER_WORKERS[type]} ${type} workers busy)`);
+    Promise.resolve()
+      .then(() => entry.run(entry.job))
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        activeRenders[type]--;
+        pumpQueue();
+      });
+  }
+}
+
+// Drop a job that hasn't started yet. Returns true if it was still waiting.
+function removeFromQueue(job) {
+  const idx = renderQueue.findIndex(e => e.job === job);
+  if (idx === -1) return false;
+  const [entry] = renderQueue.splice(idx, 1);
+  entry.resolve();
+  return true;
+}
+
+// 1-based position among queued jobs of the same type, or null once started
+function queuePosition(job) {
+  if (job.type === 'group') {
+    const positions = groupRenders(job).map(queuePosition).filter(p => p != null);
+    return positions.length ? Math.min(...positions) : null;
+  }
+  let pos = 0;
+  for (const entry of renderQueue) {
+    if (entry.job.type !== job.type) continue;
+    pos++;
+    if (entry.job === job) return pos;
+  }
+  return null;
+}
+
+function queueStats() {
+  const stats = {};
+  for (const type of Object.keys(RENDER_WORKERS)) {
+    stats[type] = {
+      workers: RENDER_WORKERS[type],
+      active: activeRenders[type],
+      queued: renderQueue.filter(e => e.job.type === type).length,
+    };
+  }
+  return stats;
+}
+
+// ── Job event streams (Server-Sent Events) ──────────────────────────────────
+//
+// GET /jobs/:jobId/events pushes the same snapshot as /status/:jobId whenever
+// it changes. An open stream counts as polling, so background tabs whose timers
+// are throttled don't get their podcast render auto-cancelled as abandoned.
+
+const jobStreams = new Map(); // jobId → Set<res>
+
+function emitJobEvent(job, event) {
+  const streams = jobStreams.get(job.id);
+  if (!streams) return;
+  const payload = `event: ${event}\ndata: ${JSON.stringify(jobSnapshot(job))}\n\n`;
+  const finished = FINISHED_STATUSES.includes(job.status);
+  for (const res of streams) {
+    res.write(payload);
+    if (finished) res.end();
+  }
+  if (finished) jobStreams.delete(job.id);
+}
+
+function openJobStream(req, res, job) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx response buffering
+  });
+  job.lastPolled = Date.now();
+
+  // Send current state right away; finished jobs get their final event and close
+  const finished = FINISHED_STATUSES.includes(job.status);
+  res.write(`retry: 3000\nevent: ${finished ? job.status : 'status'}\ndata: ${JSON.stringify(jobSnapshot(job))}\n\n`);
+  if (finished) return res.end();
+
+  if (!jobStreams.has(job.id)) jobStreams.set(job.id, new Set());
+  jobStreams.get(job.id).add(res);
+  req.on('close', () => {
+    const streams = jobStreams.get(job.id);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) jobStreams.delete(job.id);
+  });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [jobId, streams] of jobStreams) {
+    const job = jobs.get(jobId);
+    if (job) job.lastPolled = now; // open stream = client still waiting
+    for (const res of streams) res.write(': ping\n\n');
+  }
+}, SSE_HEARTBEAT_MS);
+
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
 function log(msg) {
@@ -76,7 +530,7 @@ function parseBody(req) {
     let size = 0;
     req.on('data', chunk => {
       size += chunk.length;
-      if (size > 30 * 1024 * 1024) { // 30 MB limit (two PNGs for podcast waveform)
+      if (size > MAX_JSON_BODY_BYTES) { // room for two PNG data URLs (podcast waveform)
         reject(new Error('Body too large'));
         req.destroy();
       }
@@ -90,6 +544,75 @@ function parseBody(req) {
   });
 }
 
+// File parts a multipart render request may carry, by the body field they fill
+const PNG_PART_NAME = /^(?:targets\[(\d{1,2})\]\.)?(overlayPng|framePng|frameLitPng)$/;
+
+// Render request body. JSON clients send PNG layers as data URLs; multipart
+// clients send the same object as a `json` field plus PNG file parts named
+// after the field they fill (overlayPng, framePng, frameLitPng or
+// targets[i].overlayPng), streamed to TEMP_DIR. Parts no job claims are
+// removed once the response is done.
+async function parseRenderBody(req, res) {
+  if (!isMultipart(req)) return parseBody(req);
+  const { fields, files } = await parseMultipart(req, {
+    filePath: () => path.join(TEMP_DIR, `upload_${crypto.randomBytes(8).toString('hex')}.png`),
+    acceptFile: name => PNG_PART_NAME.test(name),
+    signature: PNG_SIGNATURE,
+    fileType: 'PNG',
+    maxFileSize: MAX_PNG_PART_BYTES,
+    maxFieldSize: MAX_JSON_BODY_BYTES, // same payload as a JSON body, so the same limit
+    maxParts: MAX_EXPORT_TARGETS + 3,
+  });
+  const uploads = Object.values(files);
+  res.on('close', () => {
+    for (const file of uploads) if (!file.claimed) fs.unlink(file.path, () => {});
+  });
+
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  let body;
+  try { body = JSON.parse(fields.json || '{}'); } catch { fail('Invalid json field (must be the JSON request body)'); }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) fail('Invalid json field (must be the JSON request body)');
+  for (const file of uploads) {
+    const [, index, field] = PNG_PART_NAME.exec(file.name);
+    const holder = index == null ? body : (Array.isArray(body.targets) ? body.targets[Number(index)] : null);
+    if (!holder || typeof holder !== 'object') fail(`File part ${file.name} has no matching targets[${index}]`);
+    holder[field] = file;
+  }
+  return body;
+}
+
+// Parse the latest `time=HH:MM:SS.xx` from an ffmpeg stderr chunk → seconds (or null)
+function parseFfmpegTime(chunk) {
+  const timeMatch = chunk.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (!timeMatch) return null;
+  return parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseFloat(timeMatch[3]);
+}
+
+// Run ffmpeg for a job: registers the child for cancellation and maps `time=`
+// against `duration` (s) to onProgress(0..1). Logs under `label` on failure.
+function runFfmpeg(args, { job, duration, onProgress, label = 'ffmpeg' } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    if (job) job._proc = proc; // for cancellation
+    let stderr = '';
+    proc.stderr.on('data', d => {
+      const chunk = d.toString();
+      stderr = (stderr + chunk).slice(-64 * 1024);
+      if (onProgress && duration > 0) {
+        const secs = parseFfmpegTime(chunk);
+        if (secs != null) onProgress(Math.min(1, secs / duration));
+      }
+    });
+    proc.on('close', code => {
+      if (job) job._proc = null;
+      if (code === 0) return resolve(stderr);
+      log(`${label}: ffmpeg error (code ${code}):\n${stderr.slice(-500)}`);
+      reject(new Error(`ffmpeg exited with code ${code}`));
+    });
+    proc.on('error', reject);
+  });
+}
+
 function sendJSON(res, status, data) {
   const body = JSON.stringify(data);
   res.writeHead(status, { 'Content-Type': 'application/json' });
@@ -101,213 +624,2050 @@ function setCORS(req, res) {
   if (ALLOWED_ORIGINS.includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Access-Control-Max-Age', '86400');
 }
 
-// ── yt-dlp download ─────────────────────────────────────────────────────────
+// ── Output presets ──────────────────────────────────────────────────────────
+
+// Named render targets for social platforms. A preset fixes the output size and
+// frame rate, caps the video bitrate (VBV maxrate/bufsize on top of the CRF),
+// limits the duration (s) and sets the AAC audio parameters.
+const OUTPUT_PRESETS = {
+  'ig-feed-4x5': {
+    label: 'Instagram feed (4:5)', width: 1080, height: 1350, fps: 30, maxKbps: 8000, maxDuration: 60,
+    audio: { kbps: 128, sampleRate: 44100, channels: 2 },
+  },
+  'reels-9x16': {
+    label: 'Instagram Reels (9:16)', width: 1080, height: 1920, fps: 30, maxKbps: 8000, maxDuration: 90,
+    audio: { kbps: 128, sampleRate: 48000, channels: 2 },
+  },
+  'tiktok': {
+    label: 'TikTok (9:16)', width: 1080, height: 1920, fps: 30, maxKbps: 10000, maxDuration: 600,
+    audio: { kbps: 128, sampleRate: 44100, channels: 2 },
+  },
+  'yt-1080p': {
+    label: 'YouTube 1080p (16:9)', width: 1920, height: 1080, fps: 30, maxKbps: 12000, maxDuration: 7200,
+    audio: { kbps: 192, sampleRate: 48000, channels: 2 },
+  },
+  'square-1x1': {
+    label: 'Square (1:1)', width: 1080, height: 1080, fps: 30, maxKbps: 8000, maxDuration: 60,
+    audio: { kbps: 128, sampleRate: 44100, channels: 2 },
+  },
+  'x-landscape': {
+    label: 'X / Twitter (16:9)', width: 1280, height: 720, fps: 30, maxKbps: 5000, maxDuration: 140,
+    audio: { kbps: 128, sampleRate: 44100, channels: 2 },
+  },
+};
+
+// Preset named in a request → preset object (null when none was asked for)
+function resolveOutputPreset(name) {
+  if (name == null || name === '') return null;
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_PRESETS, name)) {
+    const err = new Error(`Unknown preset: ${name} (see GET /presets)`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return OUTPUT_PRESETS[name];
+}
 
-function downloadYouTube(videoId, withAudio) {
-  // Always download full video (trimming done later by ffmpeg)
-  const suffix = withAudio ? '' : '_noaudio';
-  const cached = path.join(CACHE_DIR, `${videoId}${suffix}.mp4`);
+// A PNG layer from a render request: data URL or uploaded multipart file part
+function isPngLayer(layer) {
+  return layer instanceof FilePart || (typeof layer === 'string' && layer.startsWith('data:image/png;base64,'));
+}
+
+// PNG layer → file at `dest` (decodes a data URL, moves an uploaded part)
+function savePngLayer(layer, dest) {
+  if (layer instanceof FilePart) return fs.renameSync(layer.path, dest);
+  const m = /^data:image\/png;base64,(.+)$/.exec(layer || '');
+  if (!m) throw new Error('Invalid PNG data URL');
+  fs.writeFileSync(dest, Buffer.from(m[1], 'base64'));
+}
 
-  if (fs.existsSync(cached) && fs.statSync(cached).size > 1000) {
-    log(`  Cache hit: ${cached}`);
-    return Promise.resolve(cached);
+// Width/height from a PNG layer's IHDR chunk (null if it isn't a PNG)
+function pngDimensions(layer) {
+  let head = layer instanceof FilePart ? layer.head : null;
+  if (!head) {
+    const m = /^data:image\/png;base64,([A-Za-z0-9+/]{32})/.exec(typeof layer === 'string' ? layer : '');
+    if (!m) return null;
+    head = Buffer.from(m[1], 'base64');
   }
+  if (head.length < 24) return null;
+  if (head.readUInt32BE(0) !== 0x89504e47 || head.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+}
 
-  // Clean up any corrupt partial download
-  try { fs.unlinkSync(cached); } catch {}
+// Reject renders a preset can't produce: too long, or PNG layers drawn at another size
+function checkPresetRequest(name, preset, { duration, pngs }) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  if (duration > preset.maxDuration) fail(`Duration ${duration}s exceeds the ${preset.maxDuration}s limit of preset ${name}`);
+  for (const [field, layer] of Object.entries(pngs)) {
+    const size = pngDimensions(layer);
+    if (size && (size.width !== preset.width || size.height !== preset.height)) {
+      fail(`${field} is ${size.width}x${size.height}, preset ${name} needs ${preset.width}x${preset.height}`);
+    }
+  }
+}
 
-  return new Promise((resolve, reject) => {
-    const url = `https://www.youtube.com/watch?v=${videoId}`;
-    const args = [
-      '--no-playlist',
-      '--no-warnings',
-      '-f', withAudio ? 'bv*[height<=1080]+ba/b[height<=1080]' : 'bv*[height<=1080]/b[height<=1080]',
-      '--merge-output-format', 'mp4',
-      '--ffmpeg-location', FFMPEG,
-      '-o', cached,
-      url,
-    ];
+// libx264 args: the endpoint's own defaults, with a preset's frame rate and bitrate cap on top
+function videoCodecArgs(preset, { crf, fps, tune }) {
+  const args = ['-c:v', 'libx264', '-preset', 'fast'];
+  if (tune) args.push('-tune', tune);
+  args.push('-crf', String(crf));
+  const rate = preset ? preset.fps : fps;
+  if (rate) args.push('-r', String(rate));
+  if (preset) args.push('-maxrate', `${preset.maxKbps}k`, '-bufsize', `${preset.maxKbps * 2}k`);
+  return args;
+}
 
-    log(`  yt-dlp: downloading ${videoId} (audio=${withAudio})`);
-    execFile(YT_DLP, args, { timeout: 180000 }, (err, stdout, stderr) => {
-      if (err) {
-        log(`  yt-dlp error: ${err.message}\n${stderr}`);
-        // Clean up corrupt file
-        try { fs.unlinkSync(cached); } catch {}
-        reject(new Error(`yt-dlp failed: ${err.message}`));
-      } else {
-        log(`  yt-dlp: done → ${cached} (${(fs.statSync(cached).size / 1024 / 1024).toFixed(1)} MB)`);
-        resolve(cached);
-      }
-    });
-  });
+function audioCodecArgs(preset, { kbps }) {
+  if (!preset) return ['-c:a', 'aac', '-b:a', `${kbps}k`];
+  const { audio } = preset;
+  return ['-c:a', 'aac', '-b:a', `${audio.kbps}k`, '-ar', String(audio.sampleRate), '-ac', String(audio.channels)];
 }
 
-// ── ffmpeg composite ────────────────────────────────────────────────────────
+// ── Auth & rate limits ──────────────────────────────────────────────────────
+//
+// Token format: `v1.<base64url JSON {sub, iat, exp}>.<base64url HMAC-SHA256>`,
+// signed with VIDEO_API_SECRET. The Ghost side (which holds the secret) mints
+// one per editor session so the secret itself never reaches the browser.
 
-function compositeVideo(videoPath, overlayPath, outputPath, { width, height, duration, withAudio, progressBar, timerInfo, accentColor }) {
-  return new Promise((resolve, reject) => {
-    // Scale video to fill portrait frame (cover mode) then crop, then overlay transparent PNG
-    let filterComplex;
+const rateBuckets = new Map(); // sub → { minuteStart, requests, hourStart, renders }
 
-    // Find a monospace font for drawtext (DejaVu Sans Mono is standard on Ubuntu/Debian)
-    const MONO_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf';
-    const fontAvailable = fs.existsSync(MONO_FONT);
+function signTokenPayload(encoded) {
+  return crypto.createHmac('sha256', API_SECRET).update(`v1.${encoded}`).digest('base64url');
+}
 
-    if (progressBar && accentColor) {
-      // Animated progress bar: color source → scale width with time expression → overlay at track pos
-      const { x, y, w, h } = progressBar;
-      const ffColor = accentColor.replace('#', '0x');
-      const dur = String(duration);
+function mintToken(sub, ttlSeconds) {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { sub, iat, exp: iat + ttlSeconds };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `v1.${encoded}.${signTokenPayload(encoded)}`, expiresAt: payload.exp * 1000 };
+}
 
-      const filters = [
-        `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1[vid]`,
-        `[vid][1:v]overlay=0:0[comp]`,
-        `color=c=${ffColor}:s=${w}x${h}:d=${dur}:r=30[barsrc]`,
-        `[barsrc]scale=w='max(2\,trunc(${w}*t/${dur}/2)*2)':h=${h}:eval=frame:flags=fast_bilinear[bar]`,
-        `[comp][bar]overlay=${x}:${y}:eval=frame:shortest=1[barout]`,
-      ];
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
 
-      // Animated elapsed timer via drawtext (requires monospace font)
-      if (timerInfo && fontAvailable) {
-        const tc = timerInfo.color || '#FFFFFF';
-        // Parse CSS rgb(r,g,b) or hex color to ffmpeg format
-        let ffTimerColor = 'white';
-        const rgbMatch = tc.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        if (rgbMatch) {
-          ffTimerColor = `0x${Number(rgbMatch[1]).toString(16).padStart(2,'0')}${Number(rgbMatch[2]).toString(16).padStart(2,'0')}${Number(rgbMatch[3]).toString(16).padStart(2,'0')}`;
-        } else if (tc.startsWith('#')) {
-          ffTimerColor = tc.replace('#', '0x');
-        }
-        const timerOpacity = timerInfo.opacity != null ? timerInfo.opacity : 0.5;
-        // ffmpeg drawtext expression for m:ss elapsed time
-        // Within single-quoted text value, \: escapes colons from filter separator parsing
-        const timeExpr = `%{eif\\:floor(t/60)\\:d}\\:%{eif\\:mod(floor(t)\\,60)\\:d\\:2}`;
-        filters.push(
-          `[barout]drawtext=fontfile='${MONO_FONT}':text='${timeExpr}':fontsize=${timerInfo.fontSize || 27}:fontcolor=${ffTimerColor}@${timerOpacity}:x=${timerInfo.x || 0}:y=${timerInfo.y || 0}[out]`
-        );
-      } else {
-        filters.push(`[barout]null[out]`);
+// Resolve the request's credential → { sub, isSecret } or null if missing/invalid/expired
+function authenticate(req, url) {
+  const header = req.headers.authorization || '';
+  const credential = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+  if (!credential) return null;
+
+  if (safeEqual(credential, API_SECRET)) return { sub: 'server', isSecret: true };
+
+  const [version, encoded, sig] = credential.split('.');
+  if (version !== 'v1' || !encoded || !sig || !safeEqual(sig, signTokenPayload(encoded))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    if (!payload.sub || !(payload.exp * 1000 > Date.now())) return null;
+    return { sub: String(payload.sub), isSecret: false };
+  } catch { return null; }
+}
+
+// Count a request against the caller's buckets. Returns seconds to wait if over a limit.
+function checkRateLimit(sub, isRender) {
+  const now = Date.now();
+  let bucket = rateBuckets.get(sub);
+  if (!bucket) {
+    bucket = { minuteStart: now, requests: 0, hourStart: now, renders: 0 };
+    rateBuckets.set(sub, bucket);
+  }
+  if (now - bucket.minuteStart >= 60 * 1000) Object.assign(bucket, { minuteStart: now, requests: 0 });
+  if (now - bucket.hourStart >= 60 * 60 * 1000) Object.assign(bucket, { hourStart: now, renders: 0 });
+
+  if (bucket.requests >= RATE_LIMIT_PER_MIN) return Math.ceil((bucket.minuteStart + 60 * 1000 - now) / 1000);
+  if (isRender && bucket.renders >= RENDER_LIMIT_PER_HOUR) return Math.ceil((bucket.hourStart + 60 * 60 * 1000 - now) / 1000);
+  bucket.requests++;
+  if (isRender) bucket.renders++;
+  return 0;
+}
+
+// ── Image proxy cache ───────────────────────────────────────────────────────
+//
+// Proxied images are stored content-addressed (file name = SHA-256 of the bytes),
+// so the same artwork reached through different URLs is kept once. index.json
+// maps each URL to its blob plus the upstream validators; entries older than
+// IMAGE_CACHE_FRESH_MS are revalidated with If-None-Match / If-Modified-Since,
+// and cleanup() evicts least-recently-used blobs beyond IMAGE_CACHE_MAX_BYTES.
+
+const imageCacheEntries = new Map(); // sha256(url) → { url, blob, contentType, etag, lastModified, size, fetchedAt, lastAccess }
+const imageCacheStats = { hits: 0, misses: 0, revalidated: 0, stale: 0 };
+const imageFetches = new Map(); // sha256(url) → in-flight promise (concurrent requests share one fetch)
+let saveImageIndexTimer = null;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function loadImageCacheIndex() {
+  try {
+    const index = JSON.parse(fs.readFileSync(IMAGE_CACHE_INDEX_FILE, 'utf8'));
+    for (const [key, entry] of Object.entries(index.entries || {})) {
+      if (fs.existsSync(path.join(IMAGE_CACHE_DIR, entry.blob))) imageCacheEntries.set(key, entry);
+    }
+  } catch {}
+}
+
+function saveImageCacheIndex() {
+  clearTimeout(saveImageIndexTimer);
+  saveImageIndexTimer = null;
+  const tmpFile = `${IMAGE_CACHE_INDEX_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries: Object.fromEntries(imageCacheEntries) }), 'utf8');
+    fs.renameSync(tmpFile, IMAGE_CACHE_INDEX_FILE);
+  } catch (err) {
+    log(`  Image cache index write failed: ${err.message}`);
+  }
+}
+
+function scheduleSaveImageIndex() {
+  if (!saveImageIndexTimer) saveImageIndexTimer = setTimeout(saveImageCacheIndex, 2000);
+}
+
+// Resolve an image URL through the cache → { entry, cacheStatus: HIT | MISS | REVALIDATED | STALE }
+function fetchCachedImage(targetUrl) {
+  const key = sha256(targetUrl);
+  const now = Date.now();
+  let entry = imageCacheEntries.get(key);
+  // Also drop entries cached before the raster-only allowlist
+  const allowedType = entry && PROXY_IMAGE_TYPES.includes(String(entry.contentType).split(';')[0].trim().toLowerCase());
+  if (entry && (!allowedType || !fs.existsSync(path.join(IMAGE_CACHE_DIR, entry.blob)))) {
+    imageCacheEntries.delete(key);
+    entry = null;
+  }
+
+  if (entry && now - entry.fetchedAt < IMAGE_CACHE_FRESH_MS) {
+    imageCacheStats.hits++;
+    entry.lastAccess = now;
+    scheduleSaveImageIndex();
+    return Promise.resolve({ entry, cacheStatus: 'HIT' });
+  }
+  if (imageFetches.has(key)) return imageFetches.get(key);
+
+  const pending = (async () => {
+    const headers = {};
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    let result;
+    try {
+      result = await safeFetchBuffer(targetUrl, {
+        maxBytes: MAX_PROXY_IMAGE_BYTES,
+        contentTypes: PROXY_IMAGE_TYPES,
+        allowedHosts: FETCH_ALLOWED_HOSTS,
+        headers,
+        allowNotModified: !!entry,
+      });
+    } catch (err) {
+      // Upstream down or erroring: a stale copy beats a broken canvas. Policy
+      // refusals (blocked address, host allowlist, type, size) still fail.
+      if (entry && err.statusCode >= 500) {
+        imageCacheStats.stale++;
+        entry.lastAccess = Date.now();
+        return { entry, cacheStatus: 'STALE' };
       }
+      throw err;
+    }
 
-      filterComplex = filters.join(';');
-    } else {
-      filterComplex = [
-        `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1[vid]`,
-        `[vid][1:v]overlay=0:0[out]`,
-      ].join(';');
+    if (result.status === 304) {
+      imageCacheStats.revalidated++;
+      Object.assign(entry, {
+        fetchedAt: Date.now(),
+        lastAccess: Date.now(),
+        etag: result.headers.etag || entry.etag,
+        lastModified: result.headers['last-modified'] || entry.lastModified,
+      });
+      scheduleSaveImageIndex();
+      return { entry, cacheStatus: 'REVALIDATED' };
     }
 
-    const args = [
-      '-y',
-      '-i', videoPath,
-      '-i', overlayPath,
-      '-filter_complex', filterComplex,
-      '-map', '[out]',
-      ...(withAudio ? ['-map', '0:a?', '-c:a', 'aac', '-b:a', '128k'] : ['-an']),
-      '-c:v', 'libx264',
-      '-preset', 'fast',
-      '-crf', '23',
-      '-t', String(duration),
-      '-movflags', '+faststart',
-      '-pix_fmt', 'yuv420p',
-      outputPath,
-    ];
+    const blob = sha256(result.buffer);
+    const blobPath = path.join(IMAGE_CACHE_DIR, blob);
+    if (!fs.existsSync(blobPath)) {
+      fs.writeFileSync(`${blobPath}.tmp`, result.buffer);
+      fs.renameSync(`${blobPath}.tmp`, blobPath);
+    }
+    const fresh = {
+      url: targetUrl,
+      blob,
+      contentType: result.contentType,
+      etag: result.headers.etag || null,
+      lastModified: result.headers['last-modified'] || null,
+      size: result.buffer.length,
+      fetchedAt: Date.now(),
+      lastAccess: Date.now(),
+    };
+    imageCacheEntries.set(key, fresh);
+    imageCacheStats.misses++;
+    scheduleSaveImageIndex();
+    return { entry: fresh, cacheStatus: 'MISS' };
+  })().finally(() => imageFetches.delete(key));
+
+  imageFetches.set(key, pending);
+  return pending;
+}
 
-    log(`  ffmpeg: compositing → ${path.basename(outputPath)}${progressBar ? ` (animated bar at ${progressBar.x},${progressBar.y} ${progressBar.w}x${progressBar.h})` : ''}${timerInfo ? ` (timer at ${timerInfo.x},${timerInfo.y})` : ''}`);
-    const proc = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+// Least-recently-used eviction under a byte budget. items: [{ size, lastAccess, pinned? }].
+// Returns the items to remove, oldest access first; pinned items are never picked.
+function pickLruEvictions(items, maxBytes) {
+  let total = items.reduce((sum, item) => sum + item.size, 0);
+  const evict = [];
+  for (const item of [...items].sort((a, b) => a.lastAccess - b.lastAccess)) {
+    if (total <= maxBytes) break;
+    if (item.pinned) continue;
+    evict.push(item);
+    total -= item.size;
+  }
+  return evict;
+}
 
-    let stderr = '';
-    proc.stderr.on('data', d => { stderr += d.toString(); });
-    proc.on('close', code => {
-      if (code === 0) {
-        log(`  ffmpeg: done`);
-        resolve(outputPath);
-      } else {
-        log(`  ffmpeg error (code ${code}):\n${stderr.slice(-500)}`);
-        reject(new Error(`ffmpeg exited with code ${code}`));
+function evictImageCache() {
+  // One item per blob (several URLs can share it); its last access is the newest of theirs
+  const blobs = new Map();
+  for (const entry of imageCacheEntries.values()) {
+    const item = blobs.get(entry.blob) || { blob: entry.blob, size: entry.size, lastAccess: 0 };
+    item.lastAccess = Math.max(item.lastAccess, entry.lastAccess);
+    blobs.set(entry.blob, item);
+  }
+
+  const evicted = new Set(pickLruEvictions([...blobs.values()], IMAGE_CACHE_MAX_BYTES).map(item => item.blob));
+  for (const [key, entry] of imageCacheEntries) {
+    if (evicted.has(entry.blob)) imageCacheEntries.delete(key);
+  }
+
+  // Remove evicted blobs plus any orphans (e.g. left behind by a crash before the index was saved)
+  let removed = 0;
+  try {
+    for (const f of fs.readdirSync(IMAGE_CACHE_DIR)) {
+      if (f === path.basename(IMAGE_CACHE_INDEX_FILE) || f.endsWith('.tmp')) continue;
+      if (evicted.has(f) || !blobs.has(f)) {
+        fs.unlink(path.join(IMAGE_CACHE_DIR, f), () => {});
+        removed++;
       }
-    });
-    proc.on('error', reject);
-  });
+    }
+  } catch {}
+  if (removed > 0) {
+    log(`  Cleanup: evicted ${removed} cached images`);
+    scheduleSaveImageIndex();
+  }
+}
+
+function imageCacheSummary() {
+  const blobs = new Map();
+  for (const entry of imageCacheEntries.values()) blobs.set(entry.blob, entry.size);
+  const bytes = [...blobs.values()].reduce((sum, size) => sum + size, 0);
+  return { ...imageCacheStats, entries: imageCacheEntries.size, bytes, maxBytes: IMAGE_CACHE_MAX_BYTES };
+}
+
+// ── Raw video cache ─────────────────────────────────────────────────────────
+//
+// yt-dlp downloads in CACHE_DIR are kept under VIDEO_CACHE_MAX_BYTES, evicting
+// the least recently *used* file first (cache hits count, not just download
+// time). Files that running jobs are reading, and in-flight downloads with
+// their yt-dlp partials, are pinned and never evicted.
+
+const videoCacheAccess = new Map(); // file name → last use (ms), persisted to index.json
+const videoCachePins = new Map();   // file name → number of running jobs using it
+const videoDownloads = new Map();   // file name → in-flight download { promise, proc, waiters }
+let saveVideoIndexTimer = null;
+
+function loadVideoCacheIndex() {
+  try {
+    const index = JSON.parse(fs.readFileSync(VIDEO_CACHE_INDEX_FILE, 'utf8'));
+    for (const [name, lastAccess] of Object.entries(index.lastAccess || {})) videoCacheAccess.set(name, lastAccess);
+  } catch {}
+}
+
+function saveVideoCacheIndex() {
+  clearTimeout(saveVideoIndexTimer);
+  saveVideoIndexTimer = null;
+  const tmpFile = `${VIDEO_CACHE_INDEX_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({ lastAccess: Object.fromEntries(videoCacheAccess) }), 'utf8');
+    fs.renameSync(tmpFile, VIDEO_CACHE_INDEX_FILE);
+  } catch (err) {
+    log(`  Video cache index write failed: ${err.message}`);
+  }
+}
+
+// Record a use of a cached file and pin it for the job until unpinJobVideos()
+function useCachedVideo(name, job) {
+  videoCacheAccess.set(name, Date.now());
+  if (!saveVideoIndexTimer) saveVideoIndexTimer = setTimeout(saveVideoCacheIndex, 2000);
+  if (job) {
+    if (!job._pinnedVideos) job._pinnedVideos = [];
+    job._pinnedVideos.push(name);
+    videoCachePins.set(name, (videoCachePins.get(name) || 0) + 1);
+  }
+}
+
+function unpinJobVideos(job) {
+  for (const name of job._pinnedVideos || []) {
+    const count = (videoCachePins.get(name) || 1) - 1;
+    if (count > 0) videoCachePins.set(name, count);
+    else videoCachePins.delete(name);
+  }
+  job._pinnedVideos = [];
+}
+
+function isVideoPinned(name) {
+  if (videoCachePins.has(name)) return true;
+  // yt-dlp partials (`<id>.mp4.part`, `<id>.f137.mp4`, …) of a running download
+  for (const target of videoDownloads.keys()) {
+    if (name === target || name.startsWith(`${path.basename(target, '.mp4')}.`)) return true;
+  }
+  return false;
+}
+
+function evictVideoCache() {
+  const items = [];
+  try {
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      if (name === path.basename(VIDEO_CACHE_INDEX_FILE) || name.endsWith('.tmp')) continue;
+      try {
+        const stat = fs.statSync(path.join(CACHE_DIR, name));
+        const pinned = isVideoPinned(name);
+        // Leftover partials from a crashed/killed download are never reusable
+        if (!pinned && /\.(part|ytdl)$|\.f\d+\.\w+$/.test(name)) {
+          fs.unlinkSync(path.join(CACHE_DIR, name));
+          log(`  Cleanup: removed stale partial ${name}`);
+          continue;
+        }
+        items.push({ name, size: stat.size, lastAccess: videoCacheAccess.get(name) || stat.mtimeMs, pinned });
+      } catch {}
+    }
+  } catch { return; }
+
+  for (const item of pickLruEvictions(items, VIDEO_CACHE_MAX_BYTES)) {
+    try {
+      fs.unlinkSync(path.join(CACHE_DIR, item.name));
+      log(`  Cleanup: evicted cached ${item.name} (${(item.size / 1024 / 1024).toFixed(1)} MB, last used ${new Date(item.lastAccess).toISOString()})`);
+    } catch {}
+  }
+
+  // Forget access times of files that are gone
+  const present = new Set(items.map(item => item.name));
+  let changed = false;
+  for (const name of videoCacheAccess.keys()) {
+    if (!present.has(name) || !fs.existsSync(path.join(CACHE_DIR, name))) { videoCacheAccess.delete(name); changed = true; }
+  }
+  if (changed) saveVideoCacheIndex();
+}
+
+function videoCacheSummary() {
+  let files = 0;
+  let bytes = 0;
+  try {
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      if (name === path.basename(VIDEO_CACHE_INDEX_FILE)) continue;
+      try { bytes += fs.statSync(path.join(CACHE_DIR, name)).size; files++; } catch {}
+    }
+  } catch {}
+  return { files, bytes, maxBytes: VIDEO_CACHE_MAX_BYTES, pinned: videoCachePins.size, downloading: videoDownloads.size };
+}
+
+// ── yt-dlp download ─────────────────────────────────────────────────────────
+
+// Parse yt-dlp's `[download]  42.3% of ...` progress lines → 0..1 (or null)
+function parseYtDlpPercent(line) {
+  const m = line.match(/^\[download\]\s+(\d+(?:\.\d+)?)%/);
+  return m ? Math.min(1, parseFloat(m[1]) / 100) : null;
+}
+
+// Where a cached/in-flight file `name` can serve the request: the offset (s) at
+// which the wanted range starts inside it, or null if it can't. Full downloads
+// serve any range; section files (`<id>_<startMs>-<endMs>[_noaudio].mp4`)
+// serve ranges they cover. With-audio copies also serve no-audio requests.
+function cachedVideoSeek(name, videoId, withAudio, section) {
+  const noAudio = name.endsWith('_noaudio.mp4');
+  if (withAudio && noAudio) return null;
+  const startMs = section ? Math.round(section.start * 1000) : 0;
+  if (name === `${videoId}${noAudio ? '_noaudio' : ''}.mp4`) return startMs / 1000;
+  if (!section) return null;
+
+  const m = name.match(/^([a-zA-Z0-9_-]{11})_(\d+)-(\d+)(?:_noaudio)?\.mp4$/);
+  if (!m || m[1] !== videoId) return null;
+  if (Number(m[2]) > startMs || Number(m[3]) < Math.round(section.end * 1000)) return null;
+  return (startMs - Number(m[2])) / 1000;
+}
+
+// Resolve a source video → { path, seek }. Without `section` the full video is
+// fetched (trimming done later by ffmpeg). With `section: { start, end }` (s)
+// only that range is downloaded, unless a cached full video or covering
+// section can be reused; `seek` is where the range starts inside the file.
+function downloadYouTube(videoId, withAudio, { section = null, job, onProgress } = {}) {
+  try {
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      const seek = cachedVideoSeek(name, videoId, withAudio, section);
+      const fp = path.join(CACHE_DIR, name);
+      if (seek != null && !videoDownloads.has(name) && fs.statSync(fp).size > 1000) {
+        log(`  Cache hit: ${fp}${seek > 0 ? ` (seek ${seek}s)` : ''}`);
+        useCachedVideo(name, job);
+        return Promise.resolve({ path: fp, seek });
+      }
+    }
+  } catch {}
+
+  // Another job is already fetching a usable copy — share it
+  for (const [name, download] of videoDownloads) {
+    const seek = cachedVideoSeek(name, videoId, withAudio, section);
+    if (seek != null) {
+      log(`  Joining in-flight download: ${name}`);
+      return waitForVideoDownload(name, download, { job, onProgress, seek });
+    }
+  }
+
+  const suffix = withAudio ? '' : '_noaudio';
+  const name = section
+    ? `${videoId}_${Math.round(section.start * 1000)}-${Math.round(section.end * 1000)}${suffix}.mp4`
+    : `${videoId}${suffix}.mp4`;
+  const cached = path.join(CACHE_DIR, name);
+
+  // Clean up any corrupt partial download
+  try { fs.unlinkSync(cached); } catch {}
+
+  const download = { promise: null, proc: null, waiters: new Map() };
+  const onDownloadProgress = (pct) => {
+    for (const waiter of download.waiters.values()) if (waiter.onProgress) waiter.onProgress(pct);
+  };
+  download.promise = runYtDlp(videoId, withAudio, cached, { section, download, onProgress: onDownloadProgress })
+    .finally(() => videoDownloads.delete(name));
+  videoDownloads.set(name, download);
+  return waitForVideoDownload(name, download, { job, onProgress, seek: 0 });
+}
+
+// Wait for a shared download as one of its waiters. Every waiter gets the
+// download's progress; a cancelled job only leaves (leaveVideoDownload), and
+// yt-dlp is killed once no job is waiting for it any more.
+function waitForVideoDownload(name, download, { job, onProgress, seek }) {
+  const waiter = job || {};
+  return new Promise((resolve, reject) => {
+    download.waiters.set(waiter, { onProgress, reject });
+    if (job) job._download = download;
+    const settle = (fn) => (value) => {
+      if (!download.waiters.delete(waiter)) return; // left (cancelled) meanwhile
+      if (job) job._download = null;
+      fn(value);
+    };
+    download.promise.then(settle((fp) => { useCachedVideo(name, job); resolve({ path: fp, seek }); }), settle(reject));
+  });
+}
+
+function leaveVideoDownload(job) {
+  const download = job._download;
+  job._download = null;
+  const waiter = download && download.waiters.get(job);
+  if (!waiter) return;
+  download.waiters.delete(job);
+  waiter.reject(new Error('Cancelled'));
+  if (download.waiters.size === 0) killProcess(download.proc);
+}
+
+function runYtDlp(videoId, withAudio, cached, { section, download, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const url = `https://www.youtube.com/watch?v=${videoId}`;
+    const args = [
+      '--no-playlist',
+      '--no-warnings',
+      '-f', withAudio ? 'bv*[height<=1080]+ba/b[height<=1080]' : 'bv*[height<=1080]/b[height<=1080]',
+      '--merge-output-format', 'mp4',
+      '--ffmpeg-location', FFMPEG,
+      '--newline', // one progress line per update so stdout can be parsed
+    ];
+    if (section) {
+      // Fetch only the range; re-encode around the cuts so it starts exactly at `start`
+      args.push('--download-sections', `*${section.start}-${section.end}`, '--force-keyframes-at-cuts');
+    }
+    args.push('-o', cached, url);
+
+    log(`  yt-dlp: downloading ${videoId} (audio=${withAudio}${section ? `, section ${section.start}s–${section.end}s` : ''})`);
+    const proc = execFile(YT_DLP, args, { timeout: 180000, detached: true, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      download.proc = null;
+      if (err) {
+        log(`  yt-dlp error: ${err.message}\n${stderr}`);
+        // Clean up corrupt file and any yt-dlp partials (.part, .fNNN.mp4, .ytdl)
+        const base = path.basename(cached, '.mp4');
+        try {
+          for (const f of fs.readdirSync(CACHE_DIR)) {
+            if (f === path.basename(cached) || f.startsWith(`${base}.`)) fs.unlink(path.join(CACHE_DIR, f), () => {});
+          }
+        } catch {}
+        reject(new Error(`yt-dlp failed: ${err.message}`));
+      } else {
+        log(`  yt-dlp: done → ${cached} (${(fs.statSync(cached).size / 1024 / 1024).toFixed(1)} MB)`);
+        resolve(cached);
+      }
+    });
+    download.proc = proc; // killed by the last waiter to cancel
+
+    // Video and audio are fetched as separate streams (each 0→100%) before the
+    // merge, so count "Destination:" lines to spread progress over both passes.
+    if (onProgress) {
+      const passes = withAudio ? 2 : 1;
+      let pass = -1;
+      let pending = '';
+      proc.stdout.on('data', d => {
+        const lines = (pending + d.toString()).split(/\r?\n/);
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.startsWith('[download] Destination:')) pass++;
+          const pct = parseYtDlpPercent(line);
+          if (pct != null) onProgress(Math.min(1, (Math.max(0, pass) + pct) / passes));
+        }
+      });
+
+      // Section downloads go through ffmpeg, which reports `time=` on stderr instead
+      if (section) {
+        proc.stderr.on('data', d => {
+          const secs = parseFfmpegTime(d.toString());
+          if (secs != null) onProgress(Math.min(0.99, secs / (section.end - section.start)));
+        });
+      }
+    }
+  });
+}
+
+// ── Framing (fit, focal point / crop) ───────────────────────────────────────
+//
+// `fit` decides how a source fills the output frame: 'cover' (default) scales
+// it up and crops the overflow, 'contain' shows all of it on a solid
+// `background`, 'blur-fill' shows all of it over a blurred, zoomed copy of
+// itself. Either way the result is exactly width×height, so overlay PNGs and
+// the progress bar line up with the canvas.
+//
+// The cover crop is centered unless the request pins a focal point (`focus:
+// { x, y }` as fractions of the source frame — the crop window moves towards
+// it) or asks for `focus: 'auto'`, which picks one focal point for the whole
+// clip from where the motion and detail are. `crop: { x, y, w, h }` (same
+// units) cuts a source rectangle first and works with every fit.
+
+const FOCUS_GRID_W = 64; // auto-focus analyses frames downscaled to this grid
+const FOCUS_GRID_H = 36;
+const FOCUS_SAMPLE_FPS = 4;
+const FIT_MODES = ['cover', 'contain', 'blur-fill'];
+
+// Validate a request's fit/background/focus/crop → opts.framing, or null for a
+// centered cover crop. `field` prefixes error messages for fan-out targets.
+// Throws with statusCode 400.
+function parseFraming({ fit, background, focus, crop }, field = '') {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  const fraction = (v, name) => {
+    const n = Number(v);
+    if (v == null || v === '' || !(n >= 0 && n <= 1)) fail(`Invalid ${field}${name} (0–1, fraction of the source frame)`);
+    return Math.round(n * 10000) / 10000;
+  };
+
+  const framing = {};
+  if (fit != null && fit !== 'cover') {
+    if (!FIT_MODES.includes(fit)) fail(`Invalid ${field}fit (must be ${FIT_MODES.map(m => `'${m}'`).join(', ')})`);
+    framing.fit = fit;
+  }
+  if (background != null) {
+    if (framing.fit !== 'contain') fail(`${field}background only applies to fit 'contain'`);
+    if (typeof background !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(background)) fail(`Invalid ${field}background (must be #RRGGBB)`);
+    framing.background = background;
+  }
+
+  if (focus != null && crop != null) fail(`Set either ${field}focus or ${field}crop, not both`);
+  if (focus != null && framing.fit) fail(`${field}focus only applies to fit 'cover'`);
+  if (focus === 'auto') {
+    framing.focus = 'auto';
+  } else if (focus != null) {
+    if (typeof focus !== 'object') fail(`${field}focus must be { x, y } or 'auto'`);
+    framing.focus = { x: fraction(focus.x, 'focus.x'), y: fraction(focus.y, 'focus.y') };
+  } else if (crop != null) {
+    if (typeof crop !== 'object') fail(`${field}crop must be { x, y, w, h }`);
+    const rect = {
+      x: fraction(crop.x, 'crop.x'),
+      y: fraction(crop.y, 'crop.y'),
+      w: fraction(crop.w, 'crop.w'),
+      h: fraction(crop.h, 'crop.h'),
+    };
+    if (rect.w < 0.05 || rect.h < 0.05) fail(`${field}crop is too small (w and h must be at least 0.05)`);
+    if (rect.x + rect.w > 1.0001 || rect.y + rect.h > 1.0001) fail(`${field}crop must lie inside the source frame`);
+    framing.crop = rect;
+  }
+  return Object.keys(framing).length ? framing : null;
+}
+
+// Filtergraph fragment taking stream [input] to a width×height [output] per
+// opts.framing. Intermediate labels are prefixed with `output`, so fragments
+// for several inputs can share one graph. `focus` must already be resolved.
+function frameFilter(input, output, width, height, framing = null) {
+  const { fit = 'cover', background = '#000000', focus, crop } = framing || {};
+  const source = crop ? `crop=iw*${crop.w}:ih*${crop.h}:iw*${crop.x}:ih*${crop.y},` : '';
+  const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase`;
+  const fitInside = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+
+  if (fit === 'contain') {
+    return `[${input}]${source}${fitInside},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background.replace('#', '0x')},setsar=1[${output}]`;
+  }
+  if (fit === 'blur-fill') {
+    // Blur a small copy (cheap at any output size), then scale it back up behind the source
+    const bw = Math.max(16, Math.round(width / 16) * 2);
+    const bh = Math.max(16, Math.round(height / 16) * 2);
+    return [
+      `[${input}]${source}split[${output}_fg][${output}_bg]`,
+      `[${output}_bg]scale=${bw}:${bh}:force_original_aspect_ratio=increase,crop=${bw}:${bh},boxblur=6:2,scale=${width}:${height},setsar=1[${output}_blur]`,
+      `[${output}_fg]${fitInside},setsar=1[${output}_fit]`,
+      `[${output}_blur][${output}_fit]overlay=(W-w)/2:(H-h)/2[${output}]`,
+    ].join(';');
+  }
+  if (focus && typeof focus === 'object') {
+    // Center the window on the focal point, clamped to the frame
+    return `[${input}]${source}${fill},crop=${width}:${height}:x='clip(iw*${focus.x}-ow/2\\,0\\,iw-ow)':y='clip(ih*${focus.y}-oh/2\\,0\\,ih-oh)',setsar=1[${output}]`;
+  }
+  return `[${input}]${source}${fill},crop=${width}:${height},setsar=1[${output}]`;
+}
+
+// Resolve `focus: 'auto'` for `inputs` ([{ path, seek, duration, still }], analysed
+// together so every piece of a joined clip gets the same crop). Per grid column
+// and row we sum frame-to-frame differences (motion) and edges (detail, which
+// carries static shots), then slide the window the crop keeps along the cut
+// axis to where that energy peaks. Falls back to the center if analysis fails.
+async function detectFocus(inputs, width, height, job) {
+  const motion = { cols: new Float64Array(FOCUS_GRID_W), rows: new Float64Array(FOCUS_GRID_H) };
+  const detail = { cols: new Float64Array(FOCUS_GRID_W), rows: new Float64Array(FOCUS_GRID_H) };
+  let source = null;
+  try {
+    for (const input of inputs) {
+      const size = await sampleFocusEnergy(input, motion, detail, job);
+      if (job && job.status === 'cancelled') return null;
+      source = source || size;
+    }
+  } catch (err) {
+    if (job && job.status === 'cancelled') return null;
+    log(`  Auto focus failed, using center crop: ${err.message}`);
+    return { x: 0.5, y: 0.5 };
+  }
+  if (!source) return { x: 0.5, y: 0.5 };
+
+  // Fraction of the source each axis keeps after scale-to-cover
+  const outAspect = width / height;
+  const srcAspect = source.width / source.height;
+  const keepX = Math.min(1, outAspect / srcAspect);
+  const keepY = Math.min(1, srcAspect / outAspect);
+  const focus = {
+    x: keepX < 0.999 ? focusAlong(blendEnergy(motion.cols, detail.cols), keepX) : 0.5,
+    y: keepY < 0.999 ? focusAlong(blendEnergy(motion.rows, detail.rows), keepY) : 0.5,
+  };
+  log(`  Auto focus: x=${focus.x}, y=${focus.y} (source ${source.width}x${source.height})`);
+  return focus;
+}
+
+// Normalised mix of both profiles: motion leads, detail breaks ties and covers static shots
+function blendEnergy(motion, detail) {
+  const total = (p) => p.reduce((sum, v) => sum + v, 0);
+  const m = total(motion);
+  const d = total(detail);
+  return Array.from(motion, (v, i) => (m > 0 ? 0.7 * v / m : 0) + (d > 0 ? 0.3 * detail[i] / d : 0));
+}
+
+// Center (0–1) of the window covering `keep` of the profile that holds the most
+// energy. Stays centered unless another window is clearly (5%) better.
+function focusAlong(profile, keep) {
+  const n = profile.length;
+  const span = Math.min(n, Math.max(1, Math.round(keep * n)));
+  const windowSum = (start) => profile.slice(start, start + span).reduce((sum, v) => sum + v, 0);
+  const centered = Math.round((n - span) / 2);
+  let best = centered;
+  for (let start = 0; start + span <= n; start++) {
+    if (windowSum(start) > windowSum(best)) best = start;
+  }
+  if (windowSum(best) <= windowSum(centered) * 1.05) best = centered;
+  return Math.round((best + span / 2) / n * 1000) / 1000;
+}
+
+// Run one input through ffmpeg at FOCUS_SAMPLE_FPS on the analysis grid and add
+// its energy to the profiles. Each raw gray frame is motion | detail side by side.
+// A `still` image is looped for a second so it has frames to compare (detail only).
+// Resolves the source frame size (from ffmpeg's stream info), or null.
+function sampleFocusEnergy({ path: inputPath, seek = 0, duration, still = false }, motion, detail, job) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-hide_banner',
+      ...(seek > 0 ? ['-ss', String(seek)] : []),
+      ...(still ? ['-loop', '1', '-t', '1'] : duration > 0 ? ['-t', String(duration)] : []),
+      '-i', inputPath,
+      '-filter_complex', [
+        `[0:v]fps=${FOCUS_SAMPLE_FPS},scale=${FOCUS_GRID_W}:${FOCUS_GRID_H},format=gray,split[a][b]`,
+        `[a]tblend=all_mode=difference[motion]`,
+        `[b]edgedetect[detail]`,
+        `[motion][detail]hstack[out]`,
+      ].join(';'),
+      '-map', '[out]',
+      '-an',
+      '-f', 'rawvideo', '-pix_fmt', 'gray',
+      'pipe:1',
+    ];
+    const proc = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    if (job) job._proc = proc; // for cancellation
+
+    const stride = FOCUS_GRID_W * 2;
+    const frameBytes = stride * FOCUS_GRID_H;
+    let pending = Buffer.alloc(0);
+    proc.stdout.on('data', d => {
+      pending = pending.length ? Buffer.concat([pending, d]) : d;
+      let offset = 0;
+      for (; offset + frameBytes <= pending.length; offset += frameBytes) {
+        for (let y = 0; y < FOCUS_GRID_H; y++) {
+          for (let x = 0; x < FOCUS_GRID_W; x++) {
+            const m = pending[offset + y * stride + x];
+            const e = pending[offset + y * stride + FOCUS_GRID_W + x];
+            motion.cols[x] += m; motion.rows[y] += m;
+            detail.cols[x] += e; detail.rows[y] += e;
+          }
+        }
+      }
+      pending = pending.subarray(offset);
+    });
+
+    let stderr = '';
+    proc.stderr.on('data', d => { if (stderr.length < 64 * 1024) stderr += d.toString(); });
+    proc.on('close', code => {
+      if (job) job._proc = null;
+      if (code !== 0) return reject(new Error(`ffmpeg focus analysis exited with code ${code}`));
+      const size = stderr.match(/Stream #\d+:\d+.*?: Video: .*?, (\d{2,5})x(\d{2,5})/);
+      resolve(size ? { width: Number(size[1]), height: Number(size[2]) } : null);
+    });
+    proc.on('error', reject);
+  });
+}
+
+// ── ffmpeg composite ────────────────────────────────────────────────────────
+
+// ffmpeg expression mapping output time `t` to the source timestamp when
+// `clips` (each { start, end } in source seconds) are joined back to back
+function sourceTimeExpr(clips) {
+  let offset = 0;
+  const pieces = clips.map(c => {
+    const piece = { at: offset, start: c.start };
+    offset += c.end - c.start;
+    return piece;
+  });
+  return pieces.reduceRight((expr, p, i) => {
+    const here = `${p.start}+t-${p.at}`;
+    return i === pieces.length - 1 ? here : `if(lt(t,${pieces[i + 1].at}),${here},${expr})`;
+  }, '');
+}
+
+// `clips` is a list of { path, seek, start, end }: the section of the source
+// (start/end in source seconds) found `seek` seconds into the file at `path`.
+// They are joined in order, then the overlay/bar/timer are drawn on top. With
+// timeline 'source' the timer shows source timestamps and the bar fills across
+// the source span the clips cover, instead of following the clip's own time.
+function compositeVideo(clips, overlayPath, outputPath, { width, height, duration, withAudio, timeline = 'clip', preset, framing, progressBar, timerInfo, accentColor, captionsPath, onProgress, job }) {
+  return new Promise((resolve, reject) => {
+    // Fit video to the output frame (cover/contain/blur-fill), then overlay transparent PNG
+    let filterComplex;
+    const fps = preset ? preset.fps : 30;
+    const overlayInput = clips.length;
+    const sourceFilters = [];
+    if (clips.length === 1) {
+      sourceFilters.push(frameFilter('0:v', 'vid', width, height, framing));
+    } else {
+      // Normalise each piece so concat accepts them
+      let concatInputs = '';
+      clips.forEach((_, i) => {
+        sourceFilters.push(frameFilter(`${i}:v`, `f${i}`, width, height, framing));
+        sourceFilters.push(`[f${i}]fps=${fps},format=yuv420p[v${i}]`);
+        concatInputs += `[v${i}]`;
+        if (withAudio) {
+          sourceFilters.push(`[${i}:a]aresample=44100,aformat=channel_layouts=stereo[a${i}]`);
+          concatInputs += `[a${i}]`;
+        }
+      });
+      sourceFilters.push(`${concatInputs}concat=n=${clips.length}:v=1:a=${withAudio ? 1 : 0}[vid]${withAudio ? '[aud]' : ''}`);
+    }
+
+    // Time shown by the bar/timer: clip time, or the source timestamp being played
+    const sourceTimeline = timeline === 'source';
+    const shownTime = sourceTimeline ? `(${sourceTimeExpr(clips)})` : 't';
+    const spanStart = Math.min(...clips.map(c => c.start));
+    const span = Math.max(...clips.map(c => c.end)) - spanStart;
+
+    // Find a monospace font for drawtext (DejaVu Sans Mono is standard on Ubuntu/Debian)
+    const MONO_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf';
+    const fontAvailable = fs.existsSync(MONO_FONT);
+
+    if (progressBar && accentColor) {
+      // Animated progress bar: color source → scale width with time expression → overlay at track pos
+      const { x, y, w, h } = progressBar;
+      const ffColor = accentColor.replace('#', '0x');
+      const dur = String(duration);
+      // Commas inside the quoted expression still need escaping for the filtergraph parser
+      const fraction = (sourceTimeline ? `(${shownTime}-${spanStart})/${span}` : `t/${dur}`).replace(/,/g, '\\,');
+
+      const filters = [
+        ...sourceFilters,
+        `[vid][${overlayInput}:v]overlay=0:0[comp]`,
+        `color=c=${ffColor}:s=${w}x${h}:d=${dur}:r=${fps}[barsrc]`,
+        `[barsrc]scale=w='max(2\\,trunc(${w}*${fraction}/2)*2)':h=${h}:eval=frame:flags=fast_bilinear[bar]`,
+        `[comp][bar]overlay=${x}:${y}:eval=frame:shortest=1[barout]`,
+      ];
+
+      // Animated elapsed timer via drawtext (requires monospace font)
+      if (timerInfo && fontAvailable) {
+        const tc = timerInfo.color || '#FFFFFF';
+        // Parse CSS rgb(r,g,b) or hex color to ffmpeg format
+        let ffTimerColor = 'white';
+        const rgbMatch = tc.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
+        if (rgbMatch) {
+          ffTimerColor = `0x${Number(rgbMatch[1]).toString(16).padStart(2,'0')}${Number(rgbMatch[2]).toString(16).padStart(2,'0')}${Number(rgbMatch[3]).toString(16).padStart(2,'0')}`;
+        } else if (tc.startsWith('#')) {
+          ffTimerColor = tc.replace('#', '0x');
+        }
+        const timerOpacity = timerInfo.opacity != null ? timerInfo.opacity : 0.5;
+        // ffmpeg drawtext expression for m:ss elapsed time
+        // Within single-quoted text value, \: escapes colons from filter separator parsing
+        const tExpr = shownTime.replace(/,/g, '\\,');
+        const timeExpr = `%{eif\\:floor(${tExpr}/60)\\:d}\\:%{eif\\:mod(floor(${tExpr})\\,60)\\:d\\:2}`;
+        filters.push(
+          `[barout]drawtext=fontfile='${MONO_FONT}':text='${timeExpr}':fontsize=${timerInfo.fontSize || 27}:fontcolor=${ffTimerColor}@${timerOpacity}:x=${timerInfo.x || 0}:y=${timerInfo.y || 0}[out]`
+        );
+      } else {
+        filters.push(`[barout]null[out]`);
+      }
+
+      filterComplex = filters.join(';');
+    } else {
+      filterComplex = [
+        ...sourceFilters,
+        `[vid][${overlayInput}:v]overlay=0:0[out]`,
+      ].join(';');
+    }
+    // Captions go on top of everything (libass renders the job's ASS file)
+    if (captionsPath) filterComplex += `;[out]ass='${captionsPath}'[captioned]`;
+
+    const inputArgs = [];
+    for (const clip of clips) {
+      // Input seek: output timestamps still start at 0; -t limits each piece to its range
+      if (clip.seek > 0) inputArgs.push('-ss', String(clip.seek));
+      if (clips.length > 1) inputArgs.push('-t', String(clip.end - clip.start));
+      inputArgs.push('-i', clip.path);
+    }
+    const audioMap = clips.length > 1 ? '[aud]' : '0:a?';
+
+    const args = [
+      '-y',
+      ...inputArgs,
+      '-i', overlayPath,
+      '-filter_complex', filterComplex,
+      '-map', captionsPath ? '[captioned]' : '[out]',
+      ...(withAudio ? ['-map', audioMap, ...audioCodecArgs(preset, { kbps: 128 })] : ['-an']),
+      ...videoCodecArgs(preset, { crf: 23 }), // no preset: keep the source frame rate
+      '-t', String(duration),
+      '-movflags', '+faststart',
+      '-pix_fmt', 'yuv420p',
+      outputPath,
+    ];
+
+    log(`  ffmpeg: compositing → ${path.basename(outputPath)}${preset ? ` [${width}x${height}@${fps}]` : ''}${framing && framing.fit ? ` (fit ${framing.fit})` : ''}${clips.length > 1 ? ` (${clips.length} ranges joined)` : ''}${progressBar ? ` (animated bar at ${progressBar.x},${progressBar.y} ${progressBar.w}x${progressBar.h})` : ''}${timerInfo ? ` (timer at ${timerInfo.x},${timerInfo.y})` : ''}${captionsPath ? ' (captions)' : ''}`);
+    runFfmpeg(args, {
+      job,
+      duration,
+      onProgress: onProgress && ((pct) => onProgress(Math.min(0.99, pct))),
+      label: '  ffmpeg',
+    }).then(() => {
+      log(`  ffmpeg: done`);
+      resolve(outputPath);
+    }, reject);
+  });
+}
+
+// ── Branding (intro/outro bumpers, watermark) ───────────────────────────────
+//
+// Server-side assets in BRANDING_DIR, named in its branding.json:
+//   { "intros":     { "sting":    { "file": "sting.mp4" } },
+//     "outros":     { "cta":      { "file": "endcard.png", "duration": 4 } },
+//     "watermarks": { "beatpass": { "file": "logo.png", "corner": "bottom-right",
+//                                   "width": 0.12, "opacity": 0.85, "margin": 0.03 } } }
+// Stills need a `duration`; watermark width and margin are fractions of the frame.
+// Requests pick assets with `branding: { intro, outro, watermark, crossfade }`.
+// The finished render then gets one more pass: the watermark goes on the main
+// segment, bumpers are joined with xfade, and bumper audio is mixed over the
+// main audio, which is ducked (sidechain-compressed) while a bumper plays.
+
+const WATERMARK_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const STILL_EXTS = ['.png', '.jpg', '.jpeg'];
+const mediaProbeCache = new Map(); // path → { mtimeMs, info }
+
+function loadBrandingManifest() {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  if (!BRANDING_DIR) fail('Branding is not configured (VIDEO_API_BRANDING_DIR unset)');
+  try {
+    return JSON.parse(fs.readFileSync(path.join(BRANDING_DIR, 'branding.json'), 'utf8'));
+  } catch (err) {
+    log(`  Branding manifest unreadable: ${err.message}`);
+    fail('Branding manifest (branding.json) is missing or invalid');
+  }
+}
+
+// Asset file named in the manifest → absolute path (must stay inside BRANDING_DIR)
+function brandingAssetPath(file) {
+  const root = fs.realpathSync(BRANDING_DIR);
+  const fp = fs.realpathSync(path.resolve(root, String(file)));
+  if (!fp.startsWith(root + path.sep) || !fs.statSync(fp).isFile()) throw new Error(`Branding asset outside ${root}`);
+  return fp;
+}
+
+// ffprobe a bumper → { duration, hasAudio } (cached until the file changes)
+function probeMedia(fp) {
+  const { mtimeMs } = fs.statSync(fp);
+  const cached = mediaProbeCache.get(fp);
+  if (cached && cached.mtimeMs === mtimeMs) return Promise.resolve(cached.info);
+  const args = ['-v', 'error', '-print_format', 'json', '-show_entries', 'format=duration:stream=codec_type', fp];
+  return new Promise((resolve, reject) => {
+    execFile(FFPROBE, args, { timeout: 30000, maxBuffer: 1024 * 1024 }, (err, stdout) => {
+      if (err) return reject(new Error(`ffprobe failed on ${path.basename(fp)}: ${err.message}`));
+      try {
+        const data = JSON.parse(stdout);
+        const info = {
+          duration: Number(data.format && data.format.duration) || 0,
+          hasAudio: (data.streams || []).some(st => st.codec_type === 'audio'),
+        };
+        mediaProbeCache.set(fp, { mtimeMs, info });
+        resolve(info);
+      } catch (e) { reject(e); }
+    });
+  });
+}
+
+// Request `branding` → assets resolved and probed, with the crossfade clamped to
+// fit the bumpers and the `duration` (s) main render. `offset` is where the main
+// render starts in the branded output; `extraDuration` what the bumpers add.
+// Throws with statusCode 400. Returns null when nothing was asked for.
+async function resolveBranding(spec, { duration }) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  if (spec == null) return null;
+  if (typeof spec !== 'object') fail('branding must be { intro, outro, watermark, crossfade }');
+  if (!spec.intro && !spec.outro && !spec.watermark) return null;
+  const manifest = loadBrandingManifest();
+
+  const entry = (kind, field) => {
+    const name = spec[field];
+    const list = manifest[kind] || {};
+    if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(list, name)) {
+      fail(`Unknown branding.${field}: ${name} (see GET /branding)`);
+    }
+    try {
+      return { name, ...list[name], path: brandingAssetPath(list[name].file) };
+    } catch {
+      fail(`Branding ${field} ${name}: asset file not found`);
+    }
+  };
+
+  const bumper = async (kind, field) => {
+    if (!spec[field]) return null;
+    const b = entry(kind, field);
+    b.still = STILL_EXTS.includes(path.extname(b.path).toLowerCase());
+    if (b.still) {
+      b.duration = Number(b.duration);
+      b.hasAudio = false;
+    } else {
+      Object.assign(b, await probeMedia(b.path));
+    }
+    if (!(b.duration >= 0.5 && b.duration <= MAX_BUMPER_S)) fail(`Branding ${field} ${b.name} must last 0.5–${MAX_BUMPER_S}s`);
+    return b;
+  };
+
+  const intro = await bumper('intros', 'intro');
+  const outro = await bumper('outros', 'outro');
+  let watermark = null;
+  if (spec.watermark) {
+    const w = entry('watermarks', 'watermark');
+    watermark = {
+      name: w.name,
+      path: w.path,
+      corner: WATERMARK_CORNERS.includes(w.corner) ? w.corner : 'bottom-right',
+      width: Math.min(0.5, Math.max(0.02, Number(w.width) || 0.12)),
+      opacity: Math.min(1, Math.max(0, w.opacity != null ? Number(w.opacity) : 0.85)),
+      margin: Math.min(0.2, Math.max(0, w.margin != null ? Number(w.margin) : 0.03)),
+    };
+  }
+
+  const requested = spec.crossfade != null ? Number(spec.crossfade) : 0.5;
+  if (!(requested >= 0 && requested <= 3)) fail('Invalid branding.crossfade (0–3 seconds)');
+  const limits = [requested, duration / 2, ...[intro, outro].filter(Boolean).map(b => b.duration / 2)];
+  const crossfade = Math.max(0.04, Math.round(Math.min(...limits) * 100) / 100); // xfade needs a non-zero overlap
+
+  return {
+    intro, outro, watermark, crossfade,
+    offset: intro ? Math.round((intro.duration - crossfade) * 1000) / 1000 : 0,
+    extraDuration: (intro ? intro.duration - crossfade : 0) + (outro ? outro.duration - crossfade : 0),
+  };
+}
+
+// ffmpeg args branding the finished `mainPath` (duration s, hasAudio) into `outputPath`.
+// `chaptersPath` (ffmetadata, already shifted by branding.offset) is mapped when given.
+function brandingArgs(mainPath, outputPath, { branding, width, height, fps, duration, hasAudio, preset, chaptersPath }) {
+  const { intro, outro, watermark, crossfade: xf } = branding;
+  const args = ['-y'];
+  let inputs = 0;
+  const addInput = (inputArgs) => { args.push(...inputArgs); return inputs++; };
+  const bumperInput = (b) => addInput(b.still
+    ? ['-loop', '1', '-framerate', String(fps), '-t', String(b.duration), '-i', b.path]
+    : ['-i', b.path]);
+  const norm = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,fps=${fps},format=yuv420p,settb=AVTB`;
+  const fmt = 'aformat=sample_rates=48000:channel_layouts=stereo';
+  const ms = (secs) => Math.round(secs * 1000);
+  const mainStart = branding.offset;
+  const mainEnd = mainStart + duration;
+  const outroStart = outro ? mainEnd - xf : mainEnd;
+  const total = Math.round((outro ? outroStart + outro.duration : mainEnd) * 1000) / 1000;
+  const filters = [];
+
+  const mainIdx = addInput(['-i', mainPath]);
+  // Holding the last frame a moment keeps the outro fade from running past a slightly short render
+  filters.push(`[${mainIdx}:v]${norm}${outro ? ',tpad=stop_mode=clone:stop_duration=1' : ''}[main]`);
+  let video = 'main';
+  if (watermark) {
+    const wi = addInput(['-i', watermark.path]);
+    const m = Math.round(Math.min(width, height) * watermark.margin);
+    const x = watermark.corner.endsWith('left') ? m : `W-w-${m}`;
+    const y = watermark.corner.startsWith('top') ? m : `H-h-${m}`;
+    filters.push(`[${wi}:v]scale=${Math.round(width * watermark.width / 2) * 2}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[wm]`);
+    filters.push(`[main][wm]overlay=${x}:${y}:format=auto[marked]`);
+    video = 'marked';
+  }
+
+  // Video: intro ⨯ main ⨯ outro, each overlap a fade
+  const introIdx = intro ? bumperInput(intro) : null;
+  const outroIdx = outro ? bumperInput(outro) : null;
+  if (intro) {
+    filters.push(`[${introIdx}:v]${norm}[introv]`);
+    filters.push(`[introv][${video}]xfade=transition=fade:duration=${xf}:offset=${mainStart}[withintro]`);
+    video = 'withintro';
+  }
+  if (outro) {
+    filters.push(`[${outroIdx}:v]${norm}[outrov]`);
+    filters.push(`[${video}][outrov]xfade=transition=fade:duration=${xf}:offset=${Math.round(outroStart * 1000) / 1000}[withoutro]`);
+    video = 'withoutro';
+  }
+
+  // Audio: main delayed to its slot, bumper audio mixed on top, main ducked under it
+  const bumperTracks = [];
+  if (intro && intro.hasAudio) {
+    filters.push(`[${introIdx}:a]${fmt},atrim=0:${intro.duration},afade=t=out:st=${intro.duration - xf}:d=${xf}[introa]`);
+    bumperTracks.push('[introa]');
+  }
+  if (outro && outro.hasAudio) {
+    filters.push(`[${outroIdx}:a]${fmt},atrim=0:${outro.duration},afade=t=in:d=${xf},adelay=delays=${ms(outroStart)}:all=1[outroa]`);
+    bumperTracks.push('[outroa]');
+  }
+  let audio = null;
+  if (hasAudio && (intro || outro)) {
+    filters.push(`[${mainIdx}:a]${fmt},adelay=delays=${ms(mainStart)}:all=1,apad=whole_dur=${total}[mainaud]`);
+    audio = 'mainaud';
+  }
+  if (bumperTracks.length) {
+    filters.push(`${bumperTracks.join('')}amix=inputs=${bumperTracks.length}:normalize=0:duration=longest,apad=whole_dur=${total}[bumpers]`);
+    if (audio) {
+      filters.push('[bumpers]asplit[bumpmix][bumpsc]');
+      filters.push(`[${audio}][bumpsc]sidechaincompress=threshold=0.02:ratio=10:attack=20:release=400[ducked]`);
+      filters.push('[ducked][bumpmix]amix=inputs=2:normalize=0:duration=first[mixed]');
+      audio = 'mixed';
+    } else {
+      audio = 'bumpers';
+    }
+  }
+
+  const chaptersIdx = chaptersPath ? addInput(['-f', 'ffmetadata', '-i', chaptersPath]) : null;
+  args.push('-filter_complex', filters.join(';'), '-map', `[${video}]`);
+  if (audio) args.push('-map', `[${audio}]`, ...audioCodecArgs(preset, { kbps: 192 }));
+  else if (hasAudio) args.push('-map', `${mainIdx}:a`, '-c:a', 'copy'); // watermark only: audio untouched
+  else args.push('-an');
+  args.push('-map_chapters', chaptersIdx != null ? String(chaptersIdx) : '-1');
+  args.push(
+    ...videoCodecArgs(preset, { crf: 20, fps }),
+    '-t', String(total),
+    '-movflags', '+faststart',
+    '-pix_fmt', 'yuv420p',
+    outputPath,
+  );
+  return { args, total };
+}
+
+// Brand a finished render (see brandingArgs); progress runs from where the job is to 0.97
+async function applyBranding(job, mainPath, outputPath, opts) {
+  const { args, total } = brandingArgs(mainPath, outputPath, opts);
+  const { intro, outro, watermark } = opts.branding;
+  log(`  Branding ${job.id}: ${[intro && `intro ${intro.name}`, outro && `outro ${outro.name}`, watermark && `watermark ${watermark.name}`].filter(Boolean).join(', ')} → ${total}s`);
+  const from = job.progress;
+  await runFfmpeg(args, {
+    job, duration: total, label: `branding ${job.id}`,
+    onProgress: (pct) => setJobProgress(job, from + pct * (0.97 - from)),
+  });
+}
+
+// ── Process export job ──────────────────────────────────────────────────────
+
+// Per-render /export options (overlay, output size/preset, bar and timer) on
+// top of the shared clip selection in `base`. `field` prefixes error messages
+// for fan-out targets. Throws with statusCode 400.
+function exportRenderOpts(src, base, field = '') {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  const { overlayPng, width = 1080, height = 1350, progressBar, timerInfo, accentColor } = src;
+  if (!isPngLayer(overlayPng)) {
+    fail(`Invalid ${field}overlayPng (must be PNG data URL or file part)`);
+  }
+  const framing = parseFraming(src, field);
+
+  const opts = {
+    ...base,
+    overlayPng,
+    width: Number(width) || 1080,
+    height: Number(height) || 1350,
+  };
+  const preset = resolveOutputPreset(src.preset);
+  if (preset) {
+    const duration = opts.duration + (base.branding ? base.branding.extraDuration : 0); // bumpers count against the limit
+    checkPresetRequest(src.preset, preset, { duration, pngs: { [`${field}overlayPng`]: overlayPng } });
+    Object.assign(opts, { preset: src.preset, width: preset.width, height: preset.height });
+  }
+  if (framing) opts.framing = framing;
+  if (base.captions) opts.captionStyle = parseCaptionStyle(src.captionStyle);
+  // Pass progress bar geometry + accent color for animated bar in ffmpeg
+  if (progressBar && typeof progressBar === 'object' && accentColor) {
+    opts.progressBar = {
+      x: Math.round(Number(progressBar.x) || 0),
+      y: Math.round(Number(progressBar.y) || 0),
+      w: Math.round(Number(progressBar.w) || 0),
+      h: Math.round(Number(progressBar.h) || 0),
+    };
+    opts.accentColor = String(accentColor);
+  }
+  if (timerInfo && typeof timerInfo === 'object') {
+    opts.timerInfo = {
+      x: Math.round(Number(timerInfo.x) || 0),
+      y: Math.round(Number(timerInfo.y) || 0),
+      fontSize: Math.round(Number(timerInfo.fontSize) || 27),
+      color: String(timerInfo.color || '#FFFFFF'),
+      opacity: Number(timerInfo.opacity) || 0.5,
+    };
+  }
+  return opts;
+}
+
+// Validate /export clip selection → [{ start, end }] in source seconds, or null
+// for the legacy "first `duration` seconds" export. Accepts `ranges` (joined in
+// order), or `startTime` with `endTime` or `duration`. Throws with statusCode 400.
+function parseClipRanges({ ranges, startTime, endTime, duration }) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  const seconds = (v, name) => {
+    const n = Number(v);
+    if (v == null || v === '' || !(n >= 0 && n <= MAX_SOURCE_TIME_S)) fail(`Invalid ${name} (0–${MAX_SOURCE_TIME_S} seconds)`);
+    return Math.round(n * 1000) / 1000;
+  };
+
+  let list;
+  if (ranges != null) {
+    if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_EXPORT_RANGES) {
+      fail(`ranges must be a list of 1–${MAX_EXPORT_RANGES} { start, end } objects`);
+    }
+    list = ranges.map((r, i) => ({
+      start: seconds(r && r.start, `ranges[${i}].start`),
+      end: seconds(r && r.end, `ranges[${i}].end`),
+    }));
+  } else if (startTime != null || endTime != null) {
+    const start = startTime != null ? seconds(startTime, 'startTime') : 0;
+    const end = endTime != null
+      ? seconds(endTime, 'endTime')
+      : start + Math.min(Number(duration) || 10, MAX_EXPORT_DURATION_S);
+    list = [{ start, end }];
+  } else {
+    return null;
+  }
+
+  if (list.some(r => r.end <= r.start)) fail('Each range must end after it starts');
+  const total = list.reduce((sum, r) => sum + r.end - r.start, 0);
+  if (total > MAX_EXPORT_DURATION_S) fail(`Clip is ${total}s long (max ${MAX_EXPORT_DURATION_S}s)`);
+  return list;
+}
+
+async function processJob(job) {
+  const { videoId, opts } = job;
+  const { overlayPng, duration, ranges, timeline, withAudio, width, height, progressBar, timerInfo, accentColor, captions, captionStyle, branding } = opts;
+  let { framing } = opts;
+  const preset = opts.preset ? OUTPUT_PRESETS[opts.preset] : null;
+  const overlayPath = jobTempFile(job, 'overlay.png');
+  const captionsPath = captions ? jobTempFile(job, 'captions.ass') : null;
+  const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+  const composedPath = branding ? jobTempFile(job, 'main.mp4') : outputPath; // branded in a final pass
+  job.outputPath = outputPath;
+
+  try {
+    // 1. Overlay PNG (data URL or uploaded part) → temp file
+    updateJob(job, { status: 'downloading', progress: 0.05 });
+    savePngLayer(overlayPng, overlayPath);
+    log(`  Overlay saved: ${overlayPath} (${fs.statSync(overlayPath).size} bytes)`);
+    if (captionsPath) fs.writeFileSync(captionsPath, buildAssSubtitles(captions, captionStyle, { width, height }), 'utf8');
+
+    // 2. Download YouTube video — only the requested ranges when given, else the whole thing
+    setJobProgress(job, 0.1);
+    const clips = [];
+    const sections = ranges || [null];
+    for (const [i, section] of sections.entries()) {
+      const { path: videoPath, seek } = await downloadYouTube(videoId, withAudio, {
+        section,
+        job,
+        onProgress: (pct) => setJobProgress(job, 0.1 + (i + pct) / sections.length * 0.5),
+      });
+      if (job.status === 'cancelled') return;
+      clips.push({ path: videoPath, seek, ...(section || { start: 0, end: duration }) });
+    }
+    setJobProgress(job, 0.6);
+
+    // 3. Composite with ffmpeg (ensure output dir exists — cleanup may have removed files)
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    updateJob(job, { status: 'compositing', progress: 0.62 });
+    if (framing && framing.focus === 'auto') {
+      // One focal point for the whole clip, picked from all of its pieces
+      const focus = await detectFocus(clips.map(c => ({ path: c.path, seek: c.seek, duration: c.end - c.start })), width, height, job);
+      if (job.status === 'cancelled') return;
+      framing = { ...framing, focus };
+    }
+    setJobProgress(job, 0.65);
+    await compositeVideo(clips, overlayPath, composedPath, {
+      width, height, duration, withAudio, timeline, preset, framing, progressBar, timerInfo, accentColor, captionsPath,
+      onProgress: (pct) => setJobProgress(job, 0.65 + pct * (branding ? 0.15 : 0.3)),
+      job,
+    });
+    if (branding) {
+      if (job.status === 'cancelled') return;
+      await applyBranding(job, composedPath, outputPath, { branding, width, height, fps: preset ? preset.fps : 30, duration, hasAudio: withAudio, preset });
+    }
+    setJobProgress(job, 0.95);
+
+    // 4. Done — set URL
+    const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
+    updateJob(job, { status: 'ready', progress: 1, url: relUrl });
+    log(`  Job ${job.id} ready: ${relUrl}`);
+
+    // Cleanup temp overlay
+    removeJobFiles(job, { keepOutput: true });
+  } catch (err) {
+    if (job.status === 'cancelled') return; // files already cleaned up by cancelJob
+    updateJob(job, { status: 'error', error: err.message });
+    log(`  Job ${job.id} FAILED: ${err.message}`);
+    removeJobFiles(job);
+  } finally {
+    unpinJobVideos(job);
+  }
+}
+
+// ── Process GIF export job ──────────────────────────────────────────────────
+
+async function processGifJob(job) {
+  const { gifUrl, overlayPng, width: w, height: h, duration: dur, branding } = job.opts;
+  let { framing } = job.opts;
+  const preset = job.opts.preset ? OUTPUT_PRESETS[job.opts.preset] : null;
+  const gifPath = jobTempFile(job, 'gif.gif');
+  const overlayPath = jobTempFile(job, 'overlay.png');
+  const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+  const composedPath = branding ? jobTempFile(job, 'main.mp4') : outputPath; // branded in a final pass
+  job.outputPath = outputPath;
+
+  try {
+    updateJob(job, { status: 'downloading', progress: 0.05 });
+
+    // Save overlay PNG
+    savePngLayer(overlayPng, overlayPath);
+
+    // Download GIF (0.05 → 0.3 of progress when the host sends Content-Length)
+    log(`GIF export ${job.id}: downloading ${gifUrl}`);
+    await safeFetchToFile(gifUrl, gifPath, {
+      maxBytes: MAX_GIF_BYTES,
+      contentTypes: ['image/gif'],
+      allowedHosts: FETCH_ALLOWED_HOSTS,
+      timeout: 15000,
+      onRequest: (r) => { job._downloadReq = r; },
+      onBytes: (received, total) => {
+        if (total > 0) setJobProgress(job, 0.05 + 0.25 * Math.min(1, received / total));
+      },
+    });
+    job._downloadReq = null;
+    if (job.status === 'cancelled') return;
+    log(`GIF export ${job.id}: GIF downloaded (${(fs.statSync(gifPath).size / 1024).toFixed(0)} KB)`);
+
+    // ffmpeg: GIF → scale/pad to target size → loop to fill duration → overlay text PNG → MP4
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    updateJob(job, { status: 'compositing', progress: 0.3 });
+    if (framing && framing.focus === 'auto') {
+      framing = { ...framing, focus: await detectFocus([{ path: gifPath, duration: dur }], w, h, job) };
+      if (job.status === 'cancelled') return;
+    }
+
+    const args = [
+      '-y',
+      '-ignore_loop', '0',         // loop the GIF indefinitely as input
+      '-i', gifPath,
+      '-i', overlayPath,
+      '-filter_complex', [
+        frameFilter('0:v', 'gif', w, h, framing),
+        `[gif][1:v]overlay=0:0:shortest=0[out]`,
+      ].join(';'),
+      '-map', '[out]',
+      '-an',
+      ...videoCodecArgs(preset, { crf: 23, fps: 24 }),
+      '-t', String(dur),
+      '-movflags', '+faststart',
+      '-pix_fmt', 'yuv420p',
+      composedPath,
+    ];
+
+    log(`GIF export ${job.id}: ffmpeg compositing...`);
+    await runFfmpeg(args, {
+      job,
+      duration: dur,
+      onProgress: (pct) => setJobProgress(job, 0.3 + (branding ? 0.4 : 0.65) * pct),
+      label: `GIF export ${job.id}`,
+    });
+    log(`GIF export ${job.id}: done → ${path.basename(composedPath)}`);
+    if (branding) {
+      if (job.status === 'cancelled') return;
+      await applyBranding(job, composedPath, outputPath, { branding, width: w, height: h, fps: preset ? preset.fps : 24, duration: dur, hasAudio: false, preset });
+    }
+
+    const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
+    updateJob(job, { status: 'ready', progress: 1, url: relUrl });
+
+    // Cleanup temp files
+    removeJobFiles(job, { keepOutput: true });
+  } catch (err) {
+    job._downloadReq = null;
+    if (job.status === 'cancelled') return; // files already cleaned up by cancelJob
+    updateJob(job, { status: 'error', error: err.message });
+    log(`GIF export ${job.id} FAILED: ${err.message}`);
+    removeJobFiles(job);
+  }
+}
+
+// ── Process image export job ────────────────────────────────────────────────
+
+// Still image (fetched through the /image-proxy cache) + overlay PNG → MP4
+async function processImageJob(job) {
+  const { imageUrl, overlayPng, width: w, height: h, duration: dur } = job.opts;
+  let { framing } = job.opts;
+  const preset = job.opts.preset ? OUTPUT_PRESETS[job.opts.preset] : null;
+  const imagePath = jobTempFile(job, 'image');
+  const overlayPath = jobTempFile(job, 'overlay.png');
+  const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+  job.outputPath = outputPath;
+
+  try {
+    updateJob(job, { status: 'downloading', progress: 0.05 });
+    savePngLayer(overlayPng, overlayPath);
+
+    // Same SSRF guard and cache as /image-proxy; copy the blob so eviction can't pull it mid-render
+    log(`Image export ${job.id}: fetching ${imageUrl}`);
+    const { entry, cacheStatus } = await fetchCachedImage(imageUrl);
+    if (job.status === 'cancelled') return;
+    fs.copyFileSync(path.join(IMAGE_CACHE_DIR, entry.blob), imagePath);
+    log(`Image export ${job.id}: image ${cacheStatus} (${(entry.size / 1024).toFixed(0)} KB, ${entry.contentType})`);
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    updateJob(job, { status: 'compositing', progress: 0.2 });
+    if (framing && framing.focus === 'auto') {
+      framing = { ...framing, focus: await detectFocus([{ path: imagePath, still: true }], w, h, job) };
+      if (job.status === 'cancelled') return;
+    }
+
+    const fps = preset ? preset.fps : 24;
+    log(`Image export ${job.id}: ffmpeg compositing${framing && framing.fit ? ` (fit ${framing.fit})` : ''}...`);
+    await runFfmpeg([
+      '-y',
+      '-loop', '1', '-framerate', String(fps), '-i', imagePath,
+      '-i', overlayPath,
+      '-filter_complex', [
+        frameFilter('0:v', 'img', w, h, framing),
+        `[img][1:v]overlay=0:0[out]`,
+      ].join(';'),
+      '-map', '[out]',
+      '-an',
+      ...videoCodecArgs(preset, { crf: 23, fps, tune: 'stillimage' }),
+      '-t', String(dur),
+      '-movflags', '+faststart',
+      '-pix_fmt', 'yuv420p',
+      outputPath,
+    ], {
+      job,
+      duration: dur,
+      label: `Image export ${job.id}`,
+      onProgress: (pct) => setJobProgress(job, 0.2 + 0.75 * pct),
+    });
+
+    const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
+    updateJob(job, { status: 'ready', progress: 1, url: relUrl });
+    log(`Image export ${job.id}: done → ${path.basename(outputPath)}`);
+    removeJobFiles(job, { keepOutput: true });
+  } catch (err) {
+    if (job.status === 'cancelled') return; // files already cleaned up by cancelJob
+    updateJob(job, { status: 'error', error: err.message });
+    log(`Image export ${job.id} FAILED: ${err.message}`);
+    removeJobFiles(job);
+  }
+}
+
+// ── Process beat preview job ────────────────────────────────────────────────
+//
+// A teaser for a BeatPass track, drawn entirely server-side: the artwork over
+// a blurred copy of itself, title / producer / BPM · genre below it, and an
+// audio visualizer plus progress bar along the bottom. Metadata and artwork
+// are resolved like youtube-sync.js does (beatpass-api.js); `title`, `producer`
+// and `bpm` in the request override what the API returns.
+
+const SANS_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+const SANS_BOLD_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+
+// Positions (px) of the preview's elements for a width×height canvas
+function beatPreviewLayout(width, height) {
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  const art = even(Math.min(width * 0.72, height * 0.52));
+  const artY = even(height * 0.08);
+  const titleSize = Math.round(width * 0.055);
+  const titleY = Math.round(artY + art + height * 0.05);
+  const producerSize = Math.round(width * 0.038);
+  const producerY = Math.round(titleY + titleSize * 1.5);
+  const detailsSize = Math.round(width * 0.032);
+  const detailsY = Math.round(producerY + producerSize * 1.4);
+  const margin = even(width * 0.08);
+  return {
+    art, artY,
+    title: { size: titleSize, y: titleY },
+    producer: { size: producerSize, y: producerY },
+    details: { size: detailsSize, y: detailsY },
+    visualizer: { x: margin, y: even(height * 0.86), w: width - margin * 2, h: even(height * 0.07) },
+    bar: { x: margin, y: even(height * 0.95), w: width - margin * 2, h: Math.max(4, even(height * 0.006)) },
+  };
+}
+
+// Shrink `size` so roughly `text` fits in `maxWidth` (DejaVu Sans glyphs are ~0.6em wide)
+function fitFontSize(text, size, maxWidth) {
+  return Math.max(12, Math.min(size, Math.floor(maxWidth / (Math.max(1, text.length) * 0.6))));
+}
+
+// ffmpeg args rendering the preview to `outputPath`
+function beatPreviewArgs(outputPath, { artPath, audioPath, textFiles, text, startTime, duration, width, height, accentColor, visualizer, preset }) {
+  const fps = preset ? preset.fps : 30;
+  const layout = beatPreviewLayout(width, height);
+  const bw = Math.max(16, Math.round(width / 16) * 2);
+  const bh = Math.max(16, Math.round(height / 16) * 2);
+  const color = accentColor.replace('#', '0x');
+  const font = (file) => (fs.existsSync(file) ? `fontfile='${file}':` : '');
+  // Text comes from files with expansion off, so titles need no escaping
+  const drawText = (key, file, size, alpha) =>
+    `drawtext=${font(file)}textfile='${textFiles[key]}':expansion=none:fontsize=${fitFontSize(text[key], size, width * 0.88)}:fontcolor=white@${alpha}:x=(w-text_w)/2:y=${layout[key].y}`;
+
+  const filters = [
+    `[0:v]split[artbg][artfg]`,
+    `[artbg]scale=${bw}:${bh}:force_original_aspect_ratio=increase,crop=${bw}:${bh},boxblur=6:2,scale=${width}:${height},eq=brightness=-0.15,setsar=1[bg]`,
+    `[artfg]scale=${layout.art}:${layout.art}:force_original_aspect_ratio=decrease,setsar=1[art]`,
+    `[bg][art]overlay=(W-w)/2:${layout.artY}[withart]`,
+    `[withart]${[
+      drawText('title', SANS_BOLD_FONT, layout.title.size, 1),
+      drawText('producer', SANS_FONT, layout.producer.size, 0.85),
+      ...(text.details ? [drawText('details', SANS_FONT, layout.details.size, 0.65)] : []),
+    ].join(',')}[withtext]`,
+  ];
+  let currentLabel = 'withtext';
+  let audioLabel = '1:a';
+
+  if (visualizer) {
+    filters.push(`[1:a]asplit[vizaudio][mainaudio]`);
+    audioLabel = 'mainaudio';
+    const viz = visualizerFilters('vizaudio', { style: visualizer, color: accentColor }, layout.visualizer, fps);
+    filters.push(...viz.filters);
+    filters.push(`[${currentLabel}][viz]overlay=${viz.x}:${viz.y}:shortest=1[withviz]`);
+    currentLabel = 'withviz';
+  }
+
+  // Progress bar over a faint track, same scale-by-time trick as the overlay exports
+  const { x, y, w, h } = layout.bar;
+  filters.push(
+    `[${currentLabel}]drawbox=x=${x}:y=${y}:w=${w}:h=${h}:color=white@0.2:t=fill[track]`,
+    `color=c=${color}:s=${w}x${h}:d=${duration}:r=${fps}[barsrc]`,
+    `[barsrc]scale=w='max(2\\,trunc(${w}*t/${duration}/2)*2)':h=${h}:eval=frame:flags=fast_bilinear[bar]`,
+    `[track][bar]overlay=${x}:${y}:eval=frame:shortest=1[out]`,
+    `[${audioLabel}]afade=t=in:d=0.5,afade=t=out:st=${Math.max(0, duration - 1.5)}:d=1.5[aout]`,
+  );
+
+  return [
+    '-y',
+    '-loop', '1', '-framerate', String(fps), '-i', artPath,
+    ...(startTime > 0 ? ['-ss', String(startTime)] : []),
+    '-t', String(duration), '-i', audioPath,
+    '-filter_complex', filters.join(';'),
+    '-map', '[out]', '-map', '[aout]',
+    ...videoCodecArgs(preset, { crf: 23, fps }),
+    ...audioCodecArgs(preset, { kbps: 192 }),
+    '-t', String(duration),
+    '-shortest',
+    '-movflags', '+faststart',
+    '-pix_fmt', 'yuv420p',
+    outputPath,
+  ];
+}
+
+async function processBeatJob(job) {
+  const { trackId, audioPath, startTime, duration, width, height, accentColor, visualizer, overrides } = job.opts;
+  const preset = job.opts.preset ? OUTPUT_PRESETS[job.opts.preset] : null;
+  const artPath = jobTempFile(job, 'artwork');
+  const textFiles = {
+    title: jobTempFile(job, 'title.txt'),
+    producer: jobTempFile(job, 'producer.txt'),
+    details: jobTempFile(job, 'details.txt'),
+  };
+  const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+  job.outputPath = outputPath;
+
+  try {
+    // 1. Track metadata + artwork (artwork goes through the /image-proxy cache and its SSRF guard)
+    updateJob(job, { status: 'downloading', progress: 0.05 });
+    const { buffer } = await safeFetchBuffer(beatPassTrackUrl(trackId), {
+      maxBytes: 2 * 1024 * 1024,
+      contentTypes: ['application/json'],
+      timeout: 15000,
+    });
+    const track = normalizeBeatPassTrack(JSON.parse(buffer.toString()));
+    if (job.status === 'cancelled') return;
+    const artworkUrl = beatPassImageUrl(track.image);
+    if (!artworkUrl) throw new Error(`Track ${trackId} has no artwork`);
+
+    const { entry } = await fetchCachedImage(artworkUrl);
+    if (job.status === 'cancelled') return;
+    fs.copyFileSync(path.join(IMAGE_CACHE_DIR, entry.blob), artPath);
+    setJobProgress(job, 0.15);
+
+    const text = {
+      title: overrides.title || track.name || 'Untitled',
+      producer: overrides.producer || track.artists[0]?.name || 'Unknown',
+    };
+    const bpm = overrides.bpm || track.bpm;
+    text.details = [bpm ? `${bpm} BPM` : null, track.genres[0]].filter(Boolean).join('  ·  ');
+    for (const key of Object.keys(textFiles)) fs.writeFileSync(textFiles[key], text[key] || '', 'utf8');
+    job.result = { trackId, title: text.title, producer: text.producer, bpm: bpm || null, genres: track.genres, artwork: artworkUrl };
+    log(`Beat preview ${job.id}: "${text.title}" by ${text.producer}${bpm ? ` (${bpm} BPM)` : ''}`);
+
+    // 2. Render
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    updateJob(job, { status: 'compositing', progress: 0.2 });
+    await runFfmpeg(beatPreviewArgs(outputPath, {
+      artPath, audioPath, textFiles, text, startTime, duration, width, height, accentColor, visualizer, preset,
+    }), {
+      job,
+      duration,
+      label: `Beat preview ${job.id}`,
+      onProgress: (pct) => setJobProgress(job, 0.2 + 0.75 * pct),
+    });
+
+    const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
+    updateJob(job, { status: 'ready', progress: 1, url: relUrl });
+    log(`Beat preview ${job.id}: done → ${path.basename(outputPath)}`);
+    removeJobFiles(job, { keepOutput: true });
+  } catch (err) {
+    if (job.status === 'cancelled') return; // files already cleaned up by cancelJob
+    updateJob(job, { status: 'error', error: err.message });
+    log(`Beat preview ${job.id} FAILED: ${err.message}`);
+    removeJobFiles(job);
+  }
+}
+
+// ── Podcast chunk upload sessions (in-memory tracker) ───────────────────────
+
+// sessionId → { audioPath, chunks: Map(index → { size, sha256 }), totalChunks, chunkSize,
+//               fileSize, fileSha256, ext, createdAt, updatedAt, complete, sha256, audio }
+// Chunk i is written at byte i × chunkSize (only the last may be shorter), so
+// chunks can arrive in any order and a retried chunk simply overwrites itself.
+const podcastSessions = new Map();
+
+// Chunk indexes a session still needs (GET /podcast-upload/:sessionId)
+function missingChunks(session) {
+  const missing = [];
+  for (let i = 0; i < session.totalChunks; i++) if (!session.chunks.has(i)) missing.push(i);
+  return missing;
+}
+
+function hashFile(fp) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(fp)
+      .on('data', d => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// ffprobe an audio file → { duration, codec, sampleRate, channels, format } of
+// its first audio stream. Throws with statusCode 400 unless it's audio we can
+// render; `label` names the file in those errors. ffprobe itself failing to
+// run (missing, timed out) is a server problem: statusCode 500.
+function probeAudio(fp, label = 'Uploaded file') {
+  const fail = (msg, statusCode = 400) => { const err = new Error(msg); err.statusCode = statusCode; return err; };
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '-select_streams', 'a:0', fp];
+  return new Promise((resolve, reject) => {
+    execFile(FFPROBE, args, { timeout: 30000, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        log(`  ffprobe error: ${err.message}\n${String(stderr).slice(-500)}`);
+        // A numeric code is ffprobe's exit status (it read the file and refused it);
+        // a string code (ENOENT, EACCES, …) or a kill (timeout) means it never got that far
+        if (err.killed || typeof err.code !== 'number') return reject(fail(`Could not probe audio (ffprobe ${err.killed ? 'timed out' : 'failed to run'})`, 500));
+        return reject(fail(`${label} is not a readable audio file`));
+      }
+      let info;
+      try { info = JSON.parse(stdout); } catch { return reject(fail(`${label} is not a readable audio file`)); }
+      const stream = (info.streams || [])[0];
+      if (!stream || stream.codec_type !== 'audio') return reject(fail(`${label} has no audio stream`));
+      const audio = {
+        duration: Math.round(Number(stream.duration || (info.format && info.format.duration)) * 1000) / 1000,
+        codec: stream.codec_name || null,
+        sampleRate: Number(stream.sample_rate) || 0,
+        channels: Number(stream.channels) || 0,
+        format: (info.format && info.format.format_name) || null,
+      };
+      if (!audio.codec) return reject(fail(`${label} uses a codec ffmpeg cannot decode`));
+      if (!(audio.duration > 0)) return reject(fail(`Could not read the audio duration of ${label.toLowerCase()}`));
+      if (audio.duration > MAX_PODCAST_DURATION_S) return reject(fail(`Audio is ${Math.round(audio.duration)}s long (max ${MAX_PODCAST_DURATION_S}s)`));
+      if (!(audio.sampleRate >= 8000) || !(audio.channels >= 1 && audio.channels <= 8)) {
+        return reject(fail(`Unsupported audio layout (${audio.sampleRate} Hz, ${audio.channels} channels)`));
+      }
+      resolve(audio);
+    });
+  });
+}
+
+// Podcast audio args: AAC mono/stereo (or audio processPodcastAudio already
+// encoded) passes through untouched; anything else is re-encoded, downmixed to
+// stereo and resampled to 48 kHz where AAC needs it
+function podcastAudioArgs(preset, audio) {
+  if (audio.processed) return ['-c:a', 'copy']; // already encoded for this render by processPodcastAudio
+  if (preset) return audioCodecArgs(preset, { kbps: 192 });
+  if (audio.codec === 'aac' && audio.channels <= 2) return ['-c:a', 'copy'];
+  const args = audioCodecArgs(null, { kbps: 192 });
+  if (audio.channels > 2) args.push('-ac', '2');
+  if (audio.sampleRate > 48000) args.push('-ar', '48000');
+  return args;
+}
+
+// All chunks are in: the file must be exactly their total size, match the
+// client's x-file-size / x-file-sha256 when it sent them, and probe as audio
+// (details kept as `session.audio`). Throws with statusCode 400, or 500 when
+// ffprobe can't run (the upload itself may be fine).
+async function verifyPodcastUpload(session) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  const size = fs.statSync(session.audioPath).size;
+  const expected = [...session.chunks.values()].reduce((sum, c) => sum + c.size, 0);
+  if (size !== expected) fail(`Audio upload is ${size} bytes, chunks add up to ${expected}`);
+  if (session.fileSize != null && size !== session.fileSize) fail(`Audio upload is ${size} bytes, x-file-size says ${session.fileSize}`);
+  const sha256 = await hashFile(session.audioPath);
+  if (session.fileSha256 && sha256 !== session.fileSha256) fail('Audio upload checksum mismatch (x-file-sha256) — please re-upload');
+  session.audio = await probeAudio(session.audioPath);
+  session.sha256 = sha256;
+  session.complete = true;
+}
+
+function collectRawBody(req, maxBytes = 5 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) { reject(new Error('Chunk too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// ── Audio visualizer (podcast) ──────────────────────────────────────────────
+//
+// With `visualizer: { style }` the podcast waveform is drawn from the audio
+// itself inside waveformRegion, instead of blending the client's dim → lit
+// frame PNGs: 'bars' is a log-frequency spectrum, 'line' the waveform, and
+// 'circular' the spectrum bent into a ring (a mirrored polar remap of 'bars').
+
+const VISUALIZER_STYLES = ['bars', 'line', 'circular'];
+const RING_BINS = 256;       // angular resolution of the circular style
+const RING_INNER_RATIO = 0.55; // inner radius / outer radius
+
+// remap() lookup tables (16-bit PGM) bending a ringBins×depth spectrum into a
+// size×size ring: bars grow outwards from the inner radius, low frequencies at
+// the top mirrored down both sides. Pixels off the ring point outside the
+// source and get remap's transparent fill.
+function ringRemapMaps(size, depth) {
+  const header = Buffer.from(`P5\n${size} ${size}\n65535\n`, 'ascii');
+  const xmap = Buffer.alloc(size * size * 2);
+  const ymap = Buffer.alloc(size * size * 2);
+  const outer = size / 2;
+  const inner = outer * RING_INNER_RATIO;
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const dx = px + 0.5 - outer;
+      const dy = py + 0.5 - outer;
+      const r = Math.hypot(dx, dy);
+      let sx = 65535;
+      let sy = 65535;
+      if (r >= inner && r < outer) {
+        const u = Math.abs(Math.atan2(dx, -dy)) / Math.PI; // 0 at the top, 1 at the bottom
+        sx = Math.min(RING_BINS - 1, Math.floor(u * RING_BINS));
+        sy = Math.max(0, depth - 1 - Math.floor((r - inner) / (outer - inner) * depth));
+      }
+      xmap.writeUInt16BE(sx, (py * size + px) * 2);
+      ymap.writeUInt16BE(sy, (py * size + px) * 2);
+    }
+  }
+  return { x: Buffer.concat([header, xmap]), y: Buffer.concat([header, ymap]) };
+}
+
+// Size of the ring for a region: the largest even square that fits
+function ringSize(region) {
+  return Math.max(2, Math.floor(Math.min(region.w, region.h) / 2) * 2);
+}
+
+// Filters turning stream [audioLabel] into a transparent [viz] sized for
+// `region`, plus where to overlay it. The circular style reads its remap tables
+// from inputs [xmapLabel] / [ymapLabel].
+function visualizerFilters(audioLabel, { style, color }, region, fps, { xmapLabel, ymapLabel } = {}) {
+  const c = color.replace('#', '0x');
+  const mono = `[${audioLabel}]aformat=channel_layouts=mono`;
+  if (style === 'line') {
+    return {
+      filters: [`${mono},showwaves=s=${region.w}x${region.h}:mode=cline:rate=${fps}:scale=sqrt:draw=full:colors=${c}[viz]`],
+      x: region.x, y: region.y,
+    };
+  }
+  if (style === 'circular') {
+    const size = ringSize(region);
+    const depth = Math.max(2, Math.round(size / 2 * (1 - RING_INNER_RATIO)));
+    return {
+      filters: [
+        `${mono},showfreqs=s=${RING_BINS}x${depth}:mode=bar:ascale=sqrt:fscale=log:win_size=2048:colors=${c},fps=${fps}[spec]`,
+        `[spec][${xmapLabel}][${ymapLabel}]remap=fill=black@0[viz]`,
+      ],
+      x: region.x + Math.floor((region.w - size) / 2),
+      y: region.y + Math.floor((region.h - size) / 2),
+    };
+  }
+  return {
+    filters: [`${mono},showfreqs=s=${region.w}x${region.h}:mode=bar:ascale=sqrt:fscale=log:win_size=2048:colors=${c},fps=${fps}[viz]`],
+    x: region.x, y: region.y,
+  };
 }
 
-// ── Process export job ──────────────────────────────────────────────────────
+// ── Podcast chapters ────────────────────────────────────────────────────────
+//
+// `chapters: [{ start, title }]` on /podcast-export become MP4 chapter metadata
+// (an ffmetadata input mapped with -map_chapters), a YouTube description block
+// in the job result, and — with `chapterTitle: { x, y, w?, fontSize, color,
+// opacity }` — the current chapter's title drawn on the frame.
 
-async function processJob(job) {
-  const { videoId, opts } = job;
-  const { overlayPng, duration, withAudio, width, height, progressBar, timerInfo, accentColor } = opts;
-  const overlayPath = path.join(TEMP_DIR, `${job.id}_overlay.png`);
-  const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+const MAX_CHAPTERS = 100;
 
-  try {
-    // 1. Decode overlay PNG data URL → temp file
-    job.status = 'downloading';
-    job.progress = 0.05;
-    const base64Match = overlayPng.match(/^data:image\/png;base64,(.+)$/);
-    if (!base64Match) throw new Error('Invalid overlay PNG data URL');
-    fs.writeFileSync(overlayPath, Buffer.from(base64Match[1], 'base64'));
-    log(`  Overlay saved: ${overlayPath} (${fs.statSync(overlayPath).size} bytes)`);
+// Seconds, or an `h:mm:ss` / `m:ss` string → seconds (NaN if invalid)
+function parseChapterTime(value) {
+  if (typeof value === 'number') return value;
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:\.\d+)?$/.exec(String(value ?? '').trim());
+  return m ? Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) : Number(value);
+}
 
-    // 2. Download YouTube video
-    job.progress = 0.1;
-    const videoPath = await downloadYouTube(videoId, withAudio);
-    job.progress = 0.6;
+// Validate a chapter list against the render → [{ start, end, title }]. Throws with statusCode 400.
+function parseChapters(list, duration) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_CHAPTERS) {
+    fail(`chapters must be a list of 1–${MAX_CHAPTERS} { start, title } objects`);
+  }
+  const chapters = list.map((c, i) => {
+    const start = parseChapterTime(c && c.start);
+    const title = String((c && c.title) || '').replace(/\s+/g, ' ').trim();
+    if (!(start >= 0 && start < duration)) fail(`chapters[${i}].start must be within the ${duration}s render`);
+    if (!title || title.length > 100) fail(`chapters[${i}].title must be 1–100 characters`);
+    return { start: Math.round(start * 1000) / 1000, title };
+  });
+  chapters.forEach((c, i) => {
+    if (i > 0 && c.start <= chapters[i - 1].start) fail(`chapters[${i}] must start after chapters[${i - 1}]`);
+    c.end = i < chapters.length - 1 ? chapters[i + 1].start : duration;
+  });
+  return chapters;
+}
 
-    // 3. Composite with ffmpeg (ensure output dir exists — cleanup may have removed files)
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-    job.status = 'compositing';
-    job.progress = 0.65;
-    await compositeVideo(videoPath, overlayPath, outputPath, { width, height, duration, withAudio, progressBar, timerInfo, accentColor });
-    job.progress = 0.95;
+// ;FFMETADATA1 file with one [CHAPTER] per chapter (ms timebase)
+function chapterMetadata(chapters) {
+  const escape = (v) => v.replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+  return [';FFMETADATA1', ...chapters.map(c => [
+    '[CHAPTER]', 'TIMEBASE=1/1000', `START=${Math.round(c.start * 1000)}`, `END=${Math.round(c.end * 1000)}`, `title=${escape(c.title)}`,
+  ].join('\n'))].join('\n') + '\n';
+}
 
-    // 4. Done — set URL
-    const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
-    job.status = 'ready';
-    job.progress = 1;
-    job.url = relUrl;
-    log(`  Job ${job.id} ready: ${relUrl}`);
+// Chapter list as YouTube expects it in a description. `youtubeReady` is false
+// when YouTube won't pick it up (needs 0:00 first, 3+ chapters, each 10s+).
+function youtubeChapterText(chapters) {
+  const stamp = (secs) => {
+    const s = Math.floor(secs);
+    const mmss = `${Math.floor(s / 60) % 60}:${String(s % 60).padStart(2, '0')}`;
+    return s >= 3600 ? `${Math.floor(s / 3600)}:${mmss.padStart(5, '0')}` : mmss;
+  };
+  return {
+    text: chapters.map(c => `${stamp(c.start)} ${c.title}`).join('\n'),
+    youtubeReady: chapters[0].start === 0 && chapters.length >= 3 && chapters.every(c => c.end - c.start >= 10),
+  };
+}
 
-    // Cleanup temp overlay
-    fs.unlink(overlayPath, () => {});
-  } catch (err) {
-    job.status = 'error';
-    job.error = err.message;
-    log(`  Job ${job.id} FAILED: ${err.message}`);
-    fs.unlink(overlayPath, () => {});
+// drawtext chain showing each chapter's title (read from `textFiles`) while it plays
+function chapterTitleFilters(chapters, chapterTitle, textFiles) {
+  const font = fs.existsSync(SANS_BOLD_FONT) ? `fontfile='${SANS_BOLD_FONT}':` : '';
+  const color = chapterTitle.color.replace('#', '0x');
+  return chapters.map((c, i) => {
+    const size = chapterTitle.w ? fitFontSize(c.title, chapterTitle.fontSize, chapterTitle.w) : chapterTitle.fontSize;
+    return `drawtext=${font}textfile='${textFiles[i]}':expansion=none:fontsize=${size}:fontcolor=${color}@${chapterTitle.opacity}:x=${chapterTitle.x}:y=${chapterTitle.y}:enable='between(t\\,${c.start}\\,${c.end})'`;
+  }).join(',');
+}
+
+// ── Podcast audio processing ────────────────────────────────────────────────
+//
+// `audioProcessing: { loudness, trimSilence, limiter }` on /podcast-export runs
+// the audio through its own ffmpeg passes before compositing: an analysis pass
+// (loudnorm measurement + silencedetect), then a linear two-pass EBU R128
+// loudnorm to `loudness.target` LUFS, the silence trim and an alimiter at the
+// true-peak ceiling, encoded to AAC so the composite can copy it.
+
+const SILENCE_THRESHOLD_DB = -50;
+const SILENCE_MIN_S = 0.5;
+const SILENCE_PAD_S = 0.25; // kept either side of trimmed silence so speech isn't clipped
+
+// Request `audioProcessing` → { loudness: { target, truePeak, lra } | null, trimSilence, limiter } (null when off)
+function parseAudioProcessing(src) {
+  const fail = (msg) => { const err = new Error(msg); err.statusCode = 400; throw err; };
+  if (src == null || src === false) return null;
+  if (typeof src !== 'object') fail('audioProcessing must be { loudness, trimSilence, limiter }');
+  let loudness = null;
+  if (src.loudness != null && src.loudness !== false) {
+    const l = typeof src.loudness === 'object' ? src.loudness : { target: src.loudness };
+    loudness = {
+      target: Number(l.target ?? -16),
+      truePeak: Number(l.truePeak ?? -1.5),
+      lra: Number(l.lra ?? 11),
+    };
+    if (!(loudness.target >= -31 && loudness.target <= -5)) fail('Invalid audioProcessing.loudness.target (-31 to -5 LUFS)');
+    if (!(loudness.truePeak >= -9 && loudness.truePeak <= 0)) fail('Invalid audioProcessing.loudness.truePeak (-9 to 0 dBTP)');
+    if (!(loudness.lra >= 1 && loudness.lra <= 20)) fail('Invalid audioProcessing.loudness.lra (1–20 LU)');
   }
+  const processing = { loudness, trimSilence: !!src.trimSilence, limiter: !!src.limiter };
+  return loudness || processing.trimSilence || processing.limiter ? processing : null;
 }
 
-// ── Podcast chunk upload sessions (in-memory tracker) ───────────────────────
+// Last loudnorm `print_format=json` block in ffmpeg stderr → numbers
+function parseLoudnormStats(stderr) {
+  const blocks = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) throw new Error('loudnorm printed no measurement');
+  const stats = JSON.parse(blocks[blocks.length - 1]);
+  return Object.fromEntries(Object.entries(stats).map(([k, v]) => [k, Number.isNaN(Number(v)) ? v : Number(v)]));
+}
 
-const podcastSessions = new Map(); // sessionId → { audioPath, received: Set, totalChunks, ext, createdAt }
+// silencedetect output → the span to keep, dropping silence at either end
+function silenceTrimSpan(stderr, duration) {
+  const events = [...stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)].map(m => ({ type: m[1], at: Number(m[2]) }));
+  let start = 0;
+  let end = duration;
+  // Leading: a silence that starts at 0 and ends
+  if (events[0] && events[0].type === 'start' && events[0].at <= 0.05 && events[1] && events[1].type === 'end') {
+    start = Math.max(0, events[1].at - SILENCE_PAD_S);
+  }
+  // Trailing: the last silence runs to the end (no silence_end, or one at EOF)
+  const last = events.map(e => e.type).lastIndexOf('start');
+  if (last !== -1 && !(last === 0 && start > 0)) {
+    const next = events[last + 1];
+    if (!next || next.at >= duration - 0.05) end = Math.min(duration, events[last].at + SILENCE_PAD_S);
+  }
+  return end - start > 1 ? { start: Math.round(start * 1000) / 1000, end: Math.round(end * 1000) / 1000 } : { start: 0, end: duration };
+}
 
-function collectRawBody(req, maxBytes = 5 * 1024 * 1024) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    let size = 0;
-    req.on('data', chunk => {
-      size += chunk.length;
-      if (size > maxBytes) { reject(new Error('Chunk too large')); req.destroy(); return; }
-      chunks.push(chunk);
+// Run the processing passes → { path, duration, trim, loudness report } for the
+// composite; `onProgress` covers both passes (0..1).
+async function processPodcastAudio(job, audioPath, { duration, preset, processing, onProgress }) {
+  const { loudness, trimSilence, limiter } = processing;
+  const report = { target: loudness ? loudness.target : null };
+  let trim = { start: 0, end: duration };
+
+  if (loudness || trimSilence) {
+    const analysis = [];
+    if (trimSilence) analysis.push(`silencedetect=n=${SILENCE_THRESHOLD_DB}dB:d=${SILENCE_MIN_S}`);
+    if (loudness) analysis.push(`loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.lra}:print_format=json`);
+    const stderr = await runFfmpeg(['-hide_banner', '-nostats', '-i', audioPath, '-t', String(duration), '-af', analysis.join(','), '-f', 'null', '-'], {
+      job, duration, label: 'podcast loudness analysis',
+      onProgress: (pct) => onProgress(pct * 0.5),
     });
-    req.on('end', () => resolve(Buffer.concat(chunks)));
-    req.on('error', reject);
+    if (job.status === 'cancelled') return null;
+    if (trimSilence) trim = silenceTrimSpan(stderr, duration);
+    if (loudness) {
+      const m = parseLoudnormStats(stderr);
+      if (![m.input_i, m.input_tp, m.input_lra, m.input_thresh].every(Number.isFinite)) throw new Error('Audio is silent — nothing to normalize');
+      report.input = { integrated: m.input_i, truePeak: m.input_tp, lra: m.input_lra, threshold: m.input_thresh };
+      loudness.measured = m;
+    }
+  }
+
+  const sampleRate = preset ? preset.audio.sampleRate : 48000;
+  const filters = [];
+  if (trim.start > 0 || trim.end < duration) filters.push(`atrim=start=${trim.start}:end=${trim.end}`, 'asetpts=PTS-STARTPTS');
+  if (loudness) {
+    const m = loudness.measured;
+    filters.push(`loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.lra}:measured_I=${m.input_i}:measured_TP=${m.input_tp}:measured_LRA=${m.input_lra}:measured_thresh=${m.input_thresh}:offset=${m.target_offset}:linear=true:print_format=json`);
+  }
+  filters.push(`aresample=${sampleRate}`); // loudnorm works at 192 kHz
+  if (limiter) {
+    const ceiling = Math.pow(10, (loudness ? loudness.truePeak : -1) / 20);
+    filters.push(`alimiter=limit=${ceiling.toFixed(4)}:level=false`);
+  }
+
+  const outPath = jobTempFile(job, 'audio_processed.m4a');
+  const trimmedDuration = Math.round((trim.end - trim.start) * 1000) / 1000;
+  const stderr = await runFfmpeg([
+    '-y', '-hide_banner', '-nostats', '-i', audioPath, '-af', filters.join(','), '-t', String(trimmedDuration),
+    ...audioCodecArgs(preset, { kbps: 192 }), ...(preset ? [] : ['-ar', String(sampleRate)]), '-vn', outPath,
+  ], {
+    job, duration: trimmedDuration, label: 'podcast audio processing',
+    onProgress: (pct) => onProgress(0.5 + pct * 0.5),
   });
+  if (job.status === 'cancelled') return null;
+  if (loudness) {
+    const m = parseLoudnormStats(stderr); // measured before the limiter
+    report.output = { integrated: m.output_i, truePeak: m.output_tp, lra: m.output_lra };
+  }
+  report.trimmed = { start: trim.start, end: Math.round((duration - trim.end) * 1000) / 1000 }; // seconds removed at each end
+  report.limiter = limiter;
+  return { path: outPath, duration: trimmedDuration, trimStart: trim.start, report };
+}
+
+// Move clip-time cues/chapters after `trimStart` s were cut from the front and the clip is `duration` s
+function shiftPodcastTimeline({ captions, chapters }, trimStart, duration) {
+  const shift = (t) => Math.round(Math.min(duration, Math.max(0, t - trimStart)) * 1000) / 1000;
+  const shiftedCaptions = captions && captions
+    .map(c => ({ ...c, start: shift(c.start), end: shift(c.end) }))
+    .filter(c => c.end > c.start);
+  let shiftedChapters = chapters && chapters
+    .map(c => ({ ...c, start: shift(c.start) }))
+    .filter((c, i, list) => c.start < duration && (i === list.length - 1 || list[i + 1].start > c.start));
+  if (shiftedChapters) {
+    shiftedChapters = shiftedChapters.map((c, i) => ({ ...c, end: i < shiftedChapters.length - 1 ? shiftedChapters[i + 1].start : duration }));
+    if (shiftedChapters.length === 0) shiftedChapters = null;
+  }
+  return { captions: shiftedCaptions && shiftedCaptions.length ? shiftedCaptions : null, chapters: shiftedChapters };
 }
 
 // ── Podcast video composite ─────────────────────────────────────────────────
 
-function compositePodcast(audioPath, framePath, outputPath, { width, height, duration, progressBar, timerInfo, waveformRegion, accentColor, frameLitPath, onProgress, job }) {
+function compositePodcast(audioPath, framePath, outputPath, { width, height, duration, preset, progressBar, timerInfo, waveformRegion, accentColor, frameLitPath, visualizer, ringMapPaths, captionsPath, chapters, chapterTitle, chapterFiles, audio, onProgress, job }) {
   return new Promise((resolve, reject) => {
     const MONO_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf';
     const fontAvailable = fs.existsSync(MONO_FONT);
     const dur = String(Math.round(duration));
+    const fps = String(preset ? preset.fps : 24);
     const hasAnimatedProgressBar = progressBar
       && Number.isFinite(progressBar.x)
       && Number.isFinite(progressBar.y)
@@ -318,9 +2678,8 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
       && typeof accentColor === 'string'
       && accentColor.length > 0;
 
-    // Detect if audio is already AAC/M4A — skip re-encoding
-    const audioExt = path.extname(audioPath).toLowerCase();
-    const canCopyAudio = ['.m4a', '.aac', '.mp4'].includes(audioExt);
+    // Probed at upload: AAC is copied as-is unless a preset dictates the audio format
+    const audioArgs = podcastAudioArgs(preset, audio);
 
     // Build timer color for drawtext
     let ffTimerColor = 'white';
@@ -336,16 +2695,26 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
       timerOpacity = timerInfo.opacity != null ? timerInfo.opacity : 0.35;
     }
 
-    const hasLitFrame = !!frameLitPath;
+    // A server-drawn visualizer replaces the dim → lit blend
+    const hasLitFrame = !!frameLitPath && !visualizer;
     let waveformBlendMode = hasLitFrame ? 'full' : 'none';
     const args = ['-y'];
+    const chapterTitleChain = chapters && chapterTitle ? chapterTitleFilters(chapters, chapterTitle, chapterFiles.titles) : null;
+
+    // Chapter metadata rides along as an ffmetadata input after the media inputs
+    const addChapterInput = () => {
+      if (!chapters) return [];
+      const index = args.filter(a => a === '-i').length;
+      args.push('-f', 'ffmetadata', '-i', chapterFiles.metadata);
+      return ['-map_chapters', String(index)];
+    };
 
     if (hasLitFrame) {
       // Two-frame approach: blend dim→lit for progressive waveform highlighting
       // Input 0: dim frame (looped), Input 1: lit frame (looped), Input 2: audio
       args.push(
-        '-loop', '1', '-framerate', '24', '-i', framePath,
-        '-loop', '1', '-framerate', '24', '-i', frameLitPath,
+        '-loop', '1', '-framerate', fps, '-i', framePath,
+        '-loop', '1', '-framerate', fps, '-i', frameLitPath,
         '-i', audioPath,
       );
 
@@ -391,7 +2760,7 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
         const barW = Math.max(1, Math.round(Number(progressBar.w) || 1));
         const barH = Math.max(1, Math.round(Number(progressBar.h) || 1));
         const ffColor = accentColor.startsWith('#') ? accentColor.replace('#', '0x') : accentColor;
-        filters.push(`color=c=${ffColor}:s=${barW}x${barH}:d=${dur}:r=24[barsrc]`);
+        filters.push(`color=c=${ffColor}:s=${barW}x${barH}:d=${dur}:r=${fps}[barsrc]`);
         filters.push(`[barsrc]scale=w='max(2\\,trunc(${barW}*t/${dur}/2)*2)':h=${barH}:eval=frame:flags=fast_bilinear[bar]`);
         filters.push(`[${currentLabel}][bar]overlay=${barX}:${barY}:eval=frame:shortest=1[withbar]`);
         currentLabel = 'withbar';
@@ -404,30 +2773,52 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
         currentLabel = 'out';
       }
 
+      if (chapterTitleChain) {
+        filters.push(`[${currentLabel}]${chapterTitleChain}[withchapter]`);
+        currentLabel = 'withchapter';
+      }
+
       // Slight sharpening improves text readability on fullscreen playback.
       filters.push(`[${currentLabel}]unsharp=5:5:0.45:3:3:0.0[final]`);
       currentLabel = 'final';
 
+      if (captionsPath) {
+        filters.push(`[${currentLabel}]ass='${captionsPath}'[captioned]`);
+        currentLabel = 'captioned';
+      }
+
+      const chapterMap = addChapterInput();
       args.push('-filter_complex', filters.join(';'));
-      args.push('-map', `[${currentLabel}]`, '-map', '2:a');
+      args.push('-map', `[${currentLabel}]`, '-map', '2:a', ...chapterMap);
 
     } else {
       // Single-frame fallback: simple vf chain
       args.push(
-        '-loop', '1', '-framerate', '24', '-i', framePath,
+        '-loop', '1', '-framerate', fps, '-i', framePath,
         '-i', audioPath,
       );
 
       const filters = [];
       let currentLabel = '0:v';
 
+      if (visualizer && waveformRegion) {
+        if (ringMapPaths) {
+          args.push('-loop', '1', '-framerate', fps, '-i', ringMapPaths.x, '-loop', '1', '-framerate', fps, '-i', ringMapPaths.y);
+        }
+        const viz = visualizerFilters('1:a', visualizer, waveformRegion, fps, { xmapLabel: '2:v', ymapLabel: '3:v' });
+        filters.push(...viz.filters);
+        filters.push(`[${currentLabel}][viz]overlay=${viz.x}:${viz.y}:shortest=1[withviz]`);
+        currentLabel = 'withviz';
+        waveformBlendMode = `visualizer:${visualizer.style}`;
+      }
+
       if (hasAnimatedProgressBar) {
         const barX = Math.max(0, Math.round(Number(progressBar.x) || 0));
         const barY = Math.max(0, Math.round(Number(progressBar.y) || 0));
         const barW = Math.max(1, Math.round(Number(progressBar.w) || 1));
         const barH = Math.max(1, Math.round(Number(progressBar.h) || 1));
         const ffColor = accentColor.startsWith('#') ? accentColor.replace('#', '0x') : accentColor;
-        filters.push(`color=c=${ffColor}:s=${barW}x${barH}:d=${dur}:r=24[barsrc]`);
+        filters.push(`color=c=${ffColor}:s=${barW}x${barH}:d=${dur}:r=${fps}[barsrc]`);
         filters.push(`[barsrc]scale=w='max(2\\,trunc(${barW}*t/${dur}/2)*2)':h=${barH}:eval=frame:flags=fast_bilinear[bar]`);
         filters.push(`[${currentLabel}][bar]overlay=${barX}:${barY}:eval=frame:shortest=1[withbar]`);
         currentLabel = 'withbar';
@@ -439,20 +2830,23 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
         currentLabel = 'withtimer';
       }
 
+      if (chapterTitleChain) {
+        filters.push(`[${currentLabel}]${chapterTitleChain}[withchapter]`);
+        currentLabel = 'withchapter';
+      }
+
       filters.push(`[${currentLabel}]unsharp=5:5:0.45:3:3:0.0[out]`);
+      if (captionsPath) filters.push(`[out]ass='${captionsPath}'[captioned]`);
 
+      const chapterMap = addChapterInput();
       args.push('-filter_complex', filters.join(';'));
-      args.push('-map', '[out]', '-map', '1:a');
+      args.push('-map', captionsPath ? '[captioned]' : '[out]', '-map', '1:a', ...chapterMap);
     }
 
     args.push(
-      '-c:v', 'libx264',
-      '-preset', 'fast',
-      '-tune', 'stillimage',
-      '-crf', '22',
-      '-c:a', canCopyAudio ? 'copy' : 'aac',
+      ...videoCodecArgs(preset, { crf: 22, tune: 'stillimage' }),
+      ...audioArgs,
     );
-    if (!canCopyAudio) args.push('-b:a', '192k');
     args.push(
       '-t', dur,
       '-movflags', '+faststart',
@@ -462,100 +2856,138 @@ function compositePodcast(audioPath, framePath, outputPath, { width, height, dur
       outputPath,
     );
 
-    log(`  ffmpeg podcast: compositing → ${path.basename(outputPath)} (${dur}s, crf=22, copyAudio=${canCopyAudio}, waveformBlend=${waveformBlendMode})`);
-    const proc = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
-
-    // Store PID on job for cancellation
-    if (job) job._ffmpegProc = proc;
-
-    let stderr = '';
-    proc.stderr.on('data', d => {
-      const chunk = d.toString();
-      stderr += chunk;
-      if (onProgress && duration > 0) {
-        const timeMatch = chunk.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
-        if (timeMatch) {
-          const secs = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseFloat(timeMatch[3]);
-          onProgress(Math.min(0.99, secs / duration));
-        }
-      }
-    });
-    proc.on('close', code => {
-      if (job) job._ffmpegProc = null;
-      if (code === 0) {
-        log(`  ffmpeg podcast: done → ${path.basename(outputPath)} (${(fs.statSync(outputPath).size / 1024 / 1024).toFixed(1)} MB)`);
-        resolve(outputPath);
-      } else {
-        log(`  ffmpeg podcast error (code ${code}):\n${stderr.slice(-800)}`);
-        reject(new Error(`ffmpeg exited with code ${code}`));
-      }
-    });
-    proc.on('error', reject);
+    log(`  ffmpeg podcast: compositing → ${path.basename(outputPath)} (${dur}s, crf=22, audio=${audioArgs[1] === 'copy' ? 'copy' : `${audio.codec}→aac`}, waveformBlend=${waveformBlendMode})`);
+    runFfmpeg(args, {
+      job,
+      duration,
+      onProgress: onProgress && ((pct) => onProgress(Math.min(0.99, pct))),
+      label: '  ffmpeg podcast',
+    }).then(() => {
+      log(`  ffmpeg podcast: done → ${path.basename(outputPath)} (${(fs.statSync(outputPath).size / 1024 / 1024).toFixed(1)} MB)`);
+      resolve(outputPath);
+    }, reject);
   });
 }
 
 // ── Process podcast export job ──────────────────────────────────────────────
 
-let podcastRenderActive = false;
-
 async function processPodcastJob(job) {
   const { opts } = job;
-  const { audioPath, framePng, frameLitPng, duration, width, height, progressBar, timerInfo, waveformRegion, accentColor } = opts;
-  const framePath = path.join(TEMP_DIR, `${job.id}_frame.png`);
-  const frameLitPath = frameLitPng ? path.join(TEMP_DIR, `${job.id}_frame_lit.png`) : null;
+  const { framePng, frameLitPng, width, height, progressBar, timerInfo, waveformRegion, accentColor, visualizer, captionStyle, chapterTitle, audioProcessing, branding } = opts;
+  let { audioPath, audio, duration, captions, chapters } = opts;
+  const preset = opts.preset ? OUTPUT_PRESETS[opts.preset] : null;
+  const framePath = jobTempFile(job, 'frame.png');
+  const frameLitPath = frameLitPng && !visualizer ? jobTempFile(job, 'frame_lit.png') : null;
+  let captionsPath = null;
+  let ringMapPaths = null;
   const outputPath = path.join(OUTPUT_DIR, `${job.id}.mp4`);
+  const composedPath = branding ? jobTempFile(job, 'main.mp4') : outputPath; // branded in a final pass
+  job.outputPath = outputPath;
 
   try {
-    // 1. Decode full-frame PNG data URL(s) → temp file(s)
-    job.status = 'rendering';
-    job.progress = 0.05;
-    const base64Match = framePng.match(/^data:image\/png;base64,(.+)$/);
-    if (!base64Match) throw new Error('Invalid frame PNG data URL');
-    fs.writeFileSync(framePath, Buffer.from(base64Match[1], 'base64'));
+    // 1. Full-frame PNG(s) (data URLs or uploaded parts) → temp file(s)
+    updateJob(job, { status: 'rendering', progress: 0.05 });
+    savePngLayer(framePng, framePath);
     log(`  Podcast frame saved: ${framePath} (${(fs.statSync(framePath).size / 1024).toFixed(0)} KB)`);
 
     if (frameLitPng && frameLitPath) {
-      const litMatch = frameLitPng.match(/^data:image\/png;base64,(.+)$/);
-      if (litMatch) {
-        fs.writeFileSync(frameLitPath, Buffer.from(litMatch[1], 'base64'));
-        log(`  Podcast frame (lit) saved: ${frameLitPath} (${(fs.statSync(frameLitPath).size / 1024).toFixed(0)} KB)`);
+      savePngLayer(frameLitPng, frameLitPath);
+      log(`  Podcast frame (lit) saved: ${frameLitPath} (${(fs.statSync(frameLitPath).size / 1024).toFixed(0)} KB)`);
+    }
+
+    // Loudness normalization / silence trim / limiter (0.05 → 0.3 of progress)
+    let renderStart = 0.05;
+    if (audioProcessing) {
+      const processed = await processPodcastAudio(job, audioPath, {
+        duration, preset, processing: audioProcessing,
+        onProgress: (pct) => setJobProgress(job, 0.05 + pct * 0.25),
+      });
+      if (!processed) return; // cancelled
+      renderStart = 0.3;
+      ({ captions, chapters } = shiftPodcastTimeline({ captions, chapters }, processed.trimStart, processed.duration));
+      audioPath = processed.path;
+      audio = { ...audio, duration: processed.duration, processed: true };
+      duration = processed.duration;
+      job.result = { ...job.result, loudness: processed.report };
+      if (opts.chapters) {
+        const youtube = chapters ? youtubeChapterText(chapters) : null;
+        Object.assign(job.result, { chapters, chapterText: youtube && youtube.text, youtubeReady: !!(youtube && youtube.youtubeReady) });
+      }
+      const { input, output } = processed.report;
+      log(`  Podcast audio processed: ${input ? `${input.integrated} → ${output.integrated} LUFS, ` : ''}trimmed ${processed.report.trimmed.start}s/${processed.report.trimmed.end}s, ${duration}s`);
+    }
+
+    if (captions) {
+      captionsPath = jobTempFile(job, 'captions.ass');
+      fs.writeFileSync(captionsPath, buildAssSubtitles(captions, captionStyle, { width, height }), 'utf8');
+    }
+
+    let chapterFiles = null;
+    if (chapters) {
+      chapterFiles = { metadata: jobTempFile(job, 'chapters.txt'), titles: [] };
+      fs.writeFileSync(chapterFiles.metadata, chapterMetadata(chapters), 'utf8');
+      if (chapterTitle) {
+        chapters.forEach((c, i) => {
+          const fp = jobTempFile(job, `chapter_${i}.txt`);
+          fs.writeFileSync(fp, c.title, 'utf8');
+          chapterFiles.titles.push(fp);
+        });
       }
     }
 
+    if (visualizer && visualizer.style === 'circular') {
+      const size = ringSize(waveformRegion);
+      const maps = ringRemapMaps(size, Math.max(2, Math.round(size / 2 * (1 - RING_INNER_RATIO))));
+      ringMapPaths = { x: jobTempFile(job, 'ring_x.pgm'), y: jobTempFile(job, 'ring_y.pgm') };
+      fs.writeFileSync(ringMapPaths.x, maps.x);
+      fs.writeFileSync(ringMapPaths.y, maps.y);
+    }
+
     // 2. Composite with ffmpeg
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
-    await compositePodcast(audioPath, framePath, outputPath, {
-      width, height, duration, progressBar, timerInfo, waveformRegion, accentColor,
+    const renderEnd = branding ? 0.75 : 0.95;
+    await compositePodcast(audioPath, framePath, composedPath, {
+      width, height, duration, preset, progressBar, timerInfo, waveformRegion, accentColor, visualizer, ringMapPaths, captionsPath,
+      chapters, chapterTitle, chapterFiles, audio,
       frameLitPath: frameLitPath && fs.existsSync(frameLitPath) ? frameLitPath : null,
-      onProgress: (pct) => { job.progress = Math.max(job.progress, 0.05 + pct * 0.9); },
+      onProgress: (pct) => setJobProgress(job, renderStart + pct * (renderEnd - renderStart)),
       job,
     });
 
-    job.progress = 0.97;
+    if (branding) {
+      if (job.status === 'cancelled') return;
+      // Chapters move with the intro; the first one absorbs it so the list still starts at 0:00
+      let chaptersPath = null;
+      if (chapters) {
+        const total = duration + branding.extraDuration;
+        const shifted = chapters.map((c, i) => ({ ...c, start: i === 0 ? 0 : Math.round((c.start + branding.offset) * 1000) / 1000 }));
+        shifted.forEach((c, i) => { c.end = i < shifted.length - 1 ? shifted[i + 1].start : Math.round(total * 1000) / 1000; });
+        chaptersPath = jobTempFile(job, 'chapters_branded.txt');
+        fs.writeFileSync(chaptersPath, chapterMetadata(shifted), 'utf8');
+        const youtube = youtubeChapterText(shifted);
+        Object.assign(job.result, { chapters: shifted, chapterText: youtube.text, youtubeReady: youtube.youtubeReady });
+      }
+      await applyBranding(job, composedPath, outputPath, {
+        branding, width, height, fps: preset ? preset.fps : 24, duration, hasAudio: true, preset, chaptersPath,
+      });
+    }
+
+    setJobProgress(job, 0.97);
 
     // 3. Done — set URL
     const relUrl = `/assets/content-designer/videos/${job.id}.mp4`;
-    job.status = 'ready';
-    job.progress = 1;
-    job.url = relUrl;
+    updateJob(job, { status: 'ready', progress: 1, url: relUrl });
     log(`  Podcast job ${job.id} ready: ${relUrl} (${(fs.statSync(outputPath).size / 1024 / 1024).toFixed(1)} MB)`);
 
     // Cleanup temp files (keep output MP4 for download)
-    fs.unlink(framePath, () => {});
-    if (frameLitPath) fs.unlink(frameLitPath, () => {});
-    fs.unlink(audioPath, () => {});
+    removeJobFiles(job, { keepOutput: true });
   } catch (err) {
-    job.status = 'error';
-    job.error = err.message;
+    if (job.status === 'cancelled') return; // files already cleaned up by cancelJob
+    updateJob(job, { status: 'error', error: err.message });
     log(`  Podcast job ${job.id} FAILED: ${err.message}`);
-    fs.unlink(framePath, () => {});
-    if (frameLitPath) fs.unlink(frameLitPath, () => {});
-    fs.unlink(audioPath, () => {});
-    // Clean up partial output
-    fs.unlink(outputPath, () => {});
-  } finally {
-    podcastRenderActive = false;
+    // Clean up temp files and partial output
+    removeJobFiles(job);
   }
 }
 
@@ -579,11 +3011,17 @@ function cleanup() {
     }
   } catch {}
 
-  // Clean stale temp files (overlay PNGs from failed/abandoned jobs)
+  // Clean stale temp files (overlay PNGs from failed/abandoned jobs). Files of
+  // active jobs are kept: uploaded PNG parts can sit in the queue for a while.
   try {
+    const owned = new Set();
+    for (const job of jobs.values()) {
+      if (ACTIVE_STATUSES.includes(job.status)) job.files.forEach(fp => owned.add(fp));
+    }
     const files = fs.readdirSync(TEMP_DIR);
     for (const f of files) {
       const fp = path.join(TEMP_DIR, f);
+      if (owned.has(fp)) continue;
       try {
         const stat = fs.statSync(fp);
         if (now - stat.mtimeMs > MAX_TEMP_AGE_MS) {
@@ -594,63 +3032,41 @@ function cleanup() {
     }
   } catch {}
 
-  // Limit cached raw YouTube downloads (full videos can be large)
-  try {
-    const files = fs.readdirSync(CACHE_DIR)
-      .map(f => {
-        try {
-          return { name: f, mtime: fs.statSync(path.join(CACHE_DIR, f)).mtimeMs, size: fs.statSync(path.join(CACHE_DIR, f)).size };
-        } catch { return null; }
-      })
-      .filter(Boolean)
-      .sort((a, b) => b.mtime - a.mtime);
-
-    // Remove excess cached files
-    if (files.length > MAX_CACHED_RAW) {
-      for (const f of files.slice(MAX_CACHED_RAW)) {
-        fs.unlinkSync(path.join(CACHE_DIR, f.name));
-        log(`  Cleanup: removed cached ${f.name} (${(f.size / 1024 / 1024).toFixed(1)} MB)`);
-      }
-    }
+  // Keep raw YouTube downloads under their byte budget (LRU by last use, pinned files kept)
+  evictVideoCache();
 
-    // Also log total cache size
-    const totalMB = files.reduce((sum, f) => sum + f.size, 0) / 1024 / 1024;
-    if (totalMB > 100) log(`  Cache size: ${totalMB.toFixed(0)} MB (${files.length} files)`);
-  } catch {}
+  // Keep proxied images under their byte budget (LRU)
+  evictImageCache();
 
-  // Purge old jobs from memory (skip jobs still rendering — they have their own lifecycle)
+  // Purge old jobs from memory (skip jobs still rendering — they have their own
+  // lifecycle). The TTL runs from when the job finished, not when it was queued.
   for (const [id, job] of jobs) {
-    if (job.status === 'rendering' || job.status === 'downloading' || job.status === 'compositing') continue;
-    const ttl = job.videoId === 'podcast' ? MAX_PODCAST_OUTPUT_AGE_MS : MAX_OUTPUT_AGE_MS;
-    if (now - job.createdAt > ttl) {
+    if (ACTIVE_STATUSES.includes(job.status)) continue;
+    const ttl = job.type === 'podcast' ? MAX_PODCAST_OUTPUT_AGE_MS : MAX_OUTPUT_AGE_MS;
+    if (now - (job.finishedAt || job.updatedAt || job.createdAt) > ttl) {
       jobs.delete(id);
+      scheduleSaveJobs();
     }
   }
 
   // Auto-cancel abandoned podcast jobs (no poll for ABANDON_TIMEOUT_MS)
   for (const [id, job] of jobs) {
-    if (job.videoId === 'podcast' && job.status === 'rendering' && job.lastPolled) {
+    if (job.type === 'podcast' && (job.status === 'rendering' || job.status === 'queued') && job.lastPolled) {
       if (now - job.lastPolled > ABANDON_TIMEOUT_MS) {
         log(`  Cleanup: auto-cancelling abandoned podcast job ${id} (no poll for ${Math.round((now - job.lastPolled) / 1000)}s)`);
-        if (job._ffmpegProc) { try { job._ffmpegProc.kill('SIGKILL'); } catch {} }
-        job.status = 'error';
-        job.error = 'Cancelled (abandoned)';
-        podcastRenderActive = false;
-        // Cleanup temp files
-        const framePath = path.join(TEMP_DIR, `${id}_frame.png`);
-        const frameLitPath = path.join(TEMP_DIR, `${id}_frame_lit.png`);
-        const outputPath = path.join(OUTPUT_DIR, `${id}.mp4`);
-        fs.unlink(framePath, () => {});
-        fs.unlink(frameLitPath, () => {});
-        fs.unlink(outputPath, () => {});
-        if (job.opts?.audioPath) fs.unlink(job.opts.audioPath, () => {});
+        cancelJob(job, 'Cancelled (abandoned)');
       }
     }
   }
 
+  // Drop rate-limit buckets that have been idle for over an hour
+  for (const [sub, bucket] of rateBuckets) {
+    if (now - bucket.hourStart > 60 * 60 * 1000 && now - bucket.minuteStart > 60 * 1000) rateBuckets.delete(sub);
+  }
+
   // Purge stale podcast upload sessions (abandoned uploads)
   for (const [sid, session] of podcastSessions) {
-    if (now - session.createdAt > MAX_TEMP_AGE_MS) {
+    if (now - session.updatedAt > MAX_TEMP_AGE_MS) {
       fs.unlink(session.audioPath, () => {});
       podcastSessions.delete(sid);
       log(`  Cleanup: removed stale podcast session ${sid}`);
@@ -658,21 +3074,29 @@ function cleanup() {
   }
 }
 
-// Startup cleanup: wipe stale temp files and old output MP4s
+// Startup cleanup: wipe stale temp files and output MP4s that no restored job owns
 function startupCleanup() {
   log('Startup cleanup...');
+  const owned = new Set();
+  for (const job of jobs.values()) {
+    if (job.status === 'ready' && job.outputPath) owned.add(job.outputPath);
+    if (ACTIVE_STATUSES.includes(job.status)) job.files.forEach(fp => owned.add(fp));
+  }
   try {
-    const tmpFiles = fs.readdirSync(TEMP_DIR);
+    const tmpFiles = fs.readdirSync(TEMP_DIR).filter(f => !owned.has(path.join(TEMP_DIR, f)));
     for (const f of tmpFiles) { fs.unlinkSync(path.join(TEMP_DIR, f)); }
     if (tmpFiles.length > 0) log(`  Removed ${tmpFiles.length} stale temp files`);
   } catch {}
   try {
-    const outFiles = fs.readdirSync(OUTPUT_DIR);
+    const outFiles = fs.readdirSync(OUTPUT_DIR).filter(f => !owned.has(path.join(OUTPUT_DIR, f)));
     for (const f of outFiles) { fs.unlinkSync(path.join(OUTPUT_DIR, f)); }
     if (outFiles.length > 0) log(`  Removed ${outFiles.length} stale output files`);
   } catch {}
 }
 
+restoreJobs();
+loadImageCacheIndex();
+loadVideoCacheIndex();
 startupCleanup();
 cleanup();
 setInterval(cleanup, 60 * 1000); // every 60s
@@ -691,9 +3115,46 @@ const server = http.createServer(async (req, res) => {
 
   const url = new URL(req.url, `http://${req.headers.host}`);
 
-  // GET /status
+  // GET /status — unauthenticated health check (used by video-api-ctl.sh). Queue
+  // and cache details only go to authenticated callers: they reveal what's being rendered.
   if (req.method === 'GET' && url.pathname === '/status') {
-    return sendJSON(res, 200, { ok: true, jobs: jobs.size });
+    if (API_SECRET && !authenticate(req, url)) return sendJSON(res, 200, { ok: true });
+    return sendJSON(res, 200, {
+      ok: true,
+      jobs: jobs.size,
+      queue: queueStats(),
+      videoCache: videoCacheSummary(),
+      imageCache: imageCacheSummary(),
+    });
+  }
+
+  // Everything else needs a valid secret or token (when VIDEO_API_SECRET is set)
+  if (API_SECRET) {
+    const auth = authenticate(req, url);
+    if (!auth) return sendJSON(res, 401, { error: 'Missing or invalid API token' });
+
+    const isRender = req.method === 'POST' && RENDER_ENDPOINTS.includes(url.pathname);
+    const retryAfter = checkRateLimit(auth.sub, isRender);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendJSON(res, 429, { error: `Rate limit exceeded. Retry in ${retryAfter}s.` });
+    }
+    req.auth = auth;
+  }
+
+  // POST /auth/token — mint a short-lived token (requires the shared secret itself)
+  if (req.method === 'POST' && url.pathname === '/auth/token') {
+    if (!API_SECRET) return sendJSON(res, 501, { error: 'Auth is not configured (VIDEO_API_SECRET unset)' });
+    if (!req.auth.isSecret) return sendJSON(res, 403, { error: 'Tokens can only be minted with the shared secret' });
+    try {
+      const body = await parseBody(req);
+      const sub = String(body.sub || '').trim();
+      if (!sub || sub.length > 128) return sendJSON(res, 400, { error: 'Missing or invalid sub' });
+      const ttl = Math.min(Math.max(60, Math.round(Number(body.ttl) || TOKEN_DEFAULT_TTL_S)), TOKEN_MAX_TTL_S);
+      return sendJSON(res, 200, mintToken(sub, ttl));
+    } catch (err) {
+      return sendJSON(res, 400, { error: err.message });
+    }
   }
 
   // GET /status/:jobId
@@ -702,12 +3163,15 @@ const server = http.createServer(async (req, res) => {
     const job = jobs.get(jobId);
     if (!job) return sendJSON(res, 404, { error: 'Job not found' });
     job.lastPolled = Date.now();
-    return sendJSON(res, 200, {
-      status: job.status,
-      progress: job.progress,
-      url: job.url,
-      error: job.error,
-    });
+    return sendJSON(res, 200, jobSnapshot(job));
+  }
+
+  // GET /jobs/:jobId/events — SSE stream of status/progress/ready/error/cancelled events
+  const eventsMatch = url.pathname.match(/^\/jobs\/([a-f0-9]{16})\/events$/);
+  if (req.method === 'GET' && eventsMatch) {
+    const job = jobs.get(eventsMatch[1]);
+    if (!job) return sendJSON(res, 404, { error: 'Job not found' });
+    return openJobStream(req, res, job);
   }
 
   // GET /image-proxy?url=... — fetch external images server-side to bypass CORS
@@ -716,185 +3180,341 @@ const server = http.createServer(async (req, res) => {
     if (!targetUrl) return sendJSON(res, 400, { error: 'Missing ?url= parameter' });
 
     try {
-      const parsed = new URL(targetUrl);
-      if (!['http:', 'https:'].includes(parsed.protocol)) {
-        return sendJSON(res, 400, { error: 'Only http/https URLs allowed' });
-      }
-
-      const proto = parsed.protocol === 'https:' ? require('https') : http;
-      proto.get(targetUrl, { timeout: 10000, headers: { 'User-Agent': 'Mozilla/5.0' } }, (upstream) => {
-        if (upstream.statusCode >= 300 && upstream.statusCode < 400 && upstream.headers.location) {
-          // Follow one redirect
-          const rProto = upstream.headers.location.startsWith('https') ? require('https') : http;
-          rProto.get(upstream.headers.location, { timeout: 10000, headers: { 'User-Agent': 'Mozilla/5.0' } }, (r2) => {
-            const ct = r2.headers['content-type'] || 'application/octet-stream';
-            res.writeHead(r2.statusCode, { 'Content-Type': ct, 'Cache-Control': 'public, max-age=3600' });
-            r2.pipe(res);
-          }).on('error', () => sendJSON(res, 502, { error: 'Redirect fetch failed' }));
-          return;
-        }
-        const ct = upstream.headers['content-type'] || 'application/octet-stream';
-        res.writeHead(upstream.statusCode, { 'Content-Type': ct, 'Cache-Control': 'public, max-age=3600' });
-        upstream.pipe(res);
-      }).on('error', (err) => {
-        sendJSON(res, 502, { error: `Upstream fetch failed: ${err.message}` });
+      const { entry, cacheStatus } = await fetchCachedImage(targetUrl);
+      res.writeHead(200, {
+        'Content-Type': entry.contentType,
+        'Content-Length': entry.size,
+        'Cache-Control': 'public, max-age=3600',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+        'X-Cache': cacheStatus,
       });
+      fs.createReadStream(path.join(IMAGE_CACHE_DIR, entry.blob))
+        .on('error', () => res.destroy())
+        .pipe(res);
     } catch (err) {
-      return sendJSON(res, 400, { error: `Invalid URL: ${err.message}` });
+      log(`Image proxy refused ${targetUrl}: ${err.message}`);
+      return sendJSON(res, err.statusCode || 502, { error: err.message });
     }
     return;
   }
 
+  // GET /presets — output presets accepted as `preset` by the render endpoints
+  if (req.method === 'GET' && url.pathname === '/presets') {
+    return sendJSON(res, 200, {
+      presets: Object.entries(OUTPUT_PRESETS).map(([id, p]) => ({ id, ...p })),
+    });
+  }
+
+  // GET /branding — intro/outro bumpers and watermarks the render endpoints accept by name
+  if (req.method === 'GET' && url.pathname === '/branding') {
+    if (!BRANDING_DIR) return sendJSON(res, 200, { intros: [], outros: [], watermarks: [] });
+    try {
+      const manifest = loadBrandingManifest();
+      const names = (kind) => Object.entries(manifest[kind] || {}).map(([name, e]) => ({
+        name, ...(e.label && { label: String(e.label) }), ...(e.duration != null && { duration: Number(e.duration) }),
+      }));
+      return sendJSON(res, 200, { intros: names('intros'), outros: names('outros'), watermarks: names('watermarks') });
+    } catch (err) {
+      return sendJSON(res, 500, { error: err.message });
+    }
+  }
+
   // POST /gif-export — convert GIF URL + overlay PNG → MP4 (preserves GIF animation)
   if (req.method === 'POST' && url.pathname === '/gif-export') {
     try {
-      const body = await parseBody(req);
+      const body = await parseRenderBody(req, res);
       const { gifUrl, overlayPng, width = 1080, height = 1350, duration = 10 } = body;
+      const preset = resolveOutputPreset(body.preset);
 
       if (!gifUrl || typeof gifUrl !== 'string') {
         return sendJSON(res, 400, { error: 'Missing gifUrl' });
       }
-      if (!overlayPng || !overlayPng.startsWith('data:image/png;base64,')) {
-        return sendJSON(res, 400, { error: 'Invalid overlayPng (must be PNG data URL)' });
+      if (!isPngLayer(overlayPng)) {
+        return sendJSON(res, 400, { error: 'Invalid overlayPng (must be PNG data URL or file part)' });
       }
 
-      const jobId = crypto.randomBytes(8).toString('hex');
-      const gifPath = path.join(TEMP_DIR, `${jobId}_gif.gif`);
-      const overlayPath = path.join(TEMP_DIR, `${jobId}_overlay.png`);
-      const outputPath = path.join(OUTPUT_DIR, `${jobId}.mp4`);
+      const opts = {
+        gifUrl,
+        overlayPng,
+        width: Number(width) || 1080,
+        height: Number(height) || 1350,
+        duration: Math.min(Number(duration) || 10, 30),
+      };
+      const framing = parseFraming(body);
+      if (framing) opts.framing = framing;
+      const branding = await resolveBranding(body.branding, { duration: opts.duration });
+      if (branding) opts.branding = branding;
+      if (preset) {
+        checkPresetRequest(body.preset, preset, { duration: opts.duration + (branding ? branding.extraDuration : 0), pngs: { overlayPng } });
+        Object.assign(opts, { preset: body.preset, width: preset.width, height: preset.height });
+      }
 
-      // Save overlay PNG
-      const base64Match = overlayPng.match(/^data:image\/png;base64,(.+)$/);
-      if (!base64Match) return sendJSON(res, 400, { error: 'Invalid overlay data' });
-      fs.writeFileSync(overlayPath, Buffer.from(base64Match[1], 'base64'));
-
-      // Download GIF
-      log(`GIF export ${jobId}: downloading ${gifUrl}`);
-      const downloadGif = (downloadUrl, redirectCount = 0) => new Promise((resolve, reject) => {
-        if (redirectCount > 3) return reject(new Error('Too many redirects'));
-        const proto = downloadUrl.startsWith('https') ? require('https') : http;
-        proto.get(downloadUrl, { timeout: 15000, headers: { 'User-Agent': 'Mozilla/5.0' } }, (resp) => {
-          if (resp.statusCode >= 300 && resp.statusCode < 400 && resp.headers.location) {
-            return downloadGif(resp.headers.location, redirectCount + 1).then(resolve, reject);
-          }
-          if (resp.statusCode !== 200) return reject(new Error(`HTTP ${resp.statusCode}`));
-          const ws = fs.createWriteStream(gifPath);
-          resp.pipe(ws);
-          ws.on('finish', () => resolve());
-          ws.on('error', reject);
-        }).on('error', reject);
-      });
+      const job = createJob('gif', null, opts);
+      log(`GIF export ${job.id} created (${gifUrl}, ${job.opts.duration}s, ${job.opts.width}x${job.opts.height}${preset ? `, preset ${body.preset}` : ''}${branding ? ', branded' : ''})`);
 
-      await downloadGif(gifUrl);
-      log(`GIF export ${jobId}: GIF downloaded (${(fs.statSync(gifPath).size / 1024).toFixed(0)} KB)`);
-
-      // ffmpeg: GIF → scale/pad to target size → loop to fill duration → overlay text PNG → MP4
-      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-      const w = Number(width) || 1080;
-      const h = Number(height) || 1350;
-      const dur = Math.min(Number(duration) || 10, 30);
-
-      await new Promise((resolve, reject) => {
-        const args = [
-          '-y',
-          '-ignore_loop', '0',         // loop the GIF indefinitely as input
-          '-i', gifPath,
-          '-i', overlayPath,
-          '-filter_complex', [
-            `[0:v]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},setsar=1[gif]`,
-            `[gif][1:v]overlay=0:0:shortest=0[out]`,
-          ].join(';'),
-          '-map', '[out]',
-          '-an',
-          '-c:v', 'libx264',
-          '-preset', 'fast',
-          '-crf', '23',
-          '-t', String(dur),
-          '-movflags', '+faststart',
-          '-pix_fmt', 'yuv420p',
-          '-r', '24',
-          outputPath,
-        ];
-
-        log(`GIF export ${jobId}: ffmpeg compositing...`);
-        const proc = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
-        let stderr = '';
-        proc.stderr.on('data', d => { stderr += d.toString(); });
-        proc.on('close', code => {
-          if (code === 0) {
-            log(`GIF export ${jobId}: done → ${path.basename(outputPath)}`);
-            resolve();
-          } else {
-            log(`GIF export ${jobId}: ffmpeg error (code ${code}):\n${stderr.slice(-500)}`);
-            reject(new Error(`ffmpeg exited with code ${code}`));
-          }
-        });
-        proc.on('error', reject);
-      });
+      // Process async — don't await
+      enqueueJob(job, processGifJob).catch(err => log(`Unhandled GIF job error: ${err.message}`));
+
+      return sendJSON(res, 202, { jobId: job.id, queuePosition: queuePosition(job) });
+    } catch (err) {
+      log(`GIF export request error: ${err.message}`);
+      return sendJSON(res, 400, { error: err.message });
+    }
+  }
+
+  // POST /image-export — still image URL + overlay PNG → MP4 (fit/focus/crop like /gif-export)
+  if (req.method === 'POST' && url.pathname === '/image-export') {
+    try {
+      const body = await parseRenderBody(req, res);
+      const { imageUrl, overlayPng, width = 1080, height = 1350, duration = 10 } = body;
+      const preset = resolveOutputPreset(body.preset);
+
+      if (!imageUrl || typeof imageUrl !== 'string') {
+        return sendJSON(res, 400, { error: 'Missing imageUrl' });
+      }
+      if (!isPngLayer(overlayPng)) {
+        return sendJSON(res, 400, { error: 'Invalid overlayPng (must be PNG data URL or file part)' });
+      }
+
+      const opts = {
+        imageUrl,
+        overlayPng,
+        width: Number(width) || 1080,
+        height: Number(height) || 1350,
+        duration: Math.min(Number(duration) || 10, 30),
+      };
+      const framing = parseFraming(body);
+      if (framing) opts.framing = framing;
+      if (preset) {
+        checkPresetRequest(body.preset, preset, { duration: opts.duration, pngs: { overlayPng } });
+        Object.assign(opts, { preset: body.preset, width: preset.width, height: preset.height });
+      }
 
-      // Cleanup temp files
-      fs.unlink(gifPath, () => {});
-      fs.unlink(overlayPath, () => {});
+      const job = createJob('image', null, opts);
+      log(`Image export ${job.id} created (${imageUrl}, ${opts.duration}s, ${opts.width}x${opts.height}${preset ? `, preset ${body.preset}` : ''}${framing && framing.fit ? `, fit ${framing.fit}` : ''})`);
 
-      const relUrl = `/assets/content-designer/videos/${jobId}.mp4`;
-      return sendJSON(res, 200, { url: relUrl });
+      enqueueJob(job, processImageJob).catch(err => log(`Unhandled image job error: ${err.message}`));
+
+      return sendJSON(res, 202, { jobId: job.id, queuePosition: queuePosition(job) });
     } catch (err) {
-      log(`GIF export failed: ${err.message}`);
-      return sendJSON(res, 500, { error: err.message });
+      log(`Image export request error: ${err.message}`);
+      return sendJSON(res, 400, { error: err.message });
+    }
+  }
+
+  // POST /beat-preview — BeatPass track ID + audio (upload session or local file) → teaser MP4
+  if (req.method === 'POST' && url.pathname === '/beat-preview') {
+    try {
+      const body = await parseBody(req);
+      const { trackId, sessionId, audioFile, startTime = 0, duration = 30, format = 'square', accentColor = '#FFFFFF', visualizer = 'bars' } = body;
+      const preset = resolveOutputPreset(body.preset);
+
+      if (!/^\d{1,12}$/.test(String(trackId ?? ''))) {
+        return sendJSON(res, 400, { error: 'Invalid trackId' });
+      }
+      if (format !== 'square' && format !== 'vertical') {
+        return sendJSON(res, 400, { error: "Invalid format (must be 'square' or 'vertical')" });
+      }
+      if (typeof accentColor !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(accentColor)) {
+        return sendJSON(res, 400, { error: 'Invalid accentColor (must be #RRGGBB)' });
+      }
+      const vizStyle = visualizer === false || visualizer === 'none' ? null : visualizer;
+      if (vizStyle !== null && vizStyle !== 'bars' && vizStyle !== 'line') {
+        return sendJSON(res, 400, { error: "Invalid visualizer (must be 'bars', 'line' or 'none')" });
+      }
+      const start = Number(startTime);
+      if (!(start >= 0 && start <= MAX_SOURCE_TIME_S)) {
+        return sendJSON(res, 400, { error: `Invalid startTime (0–${MAX_SOURCE_TIME_S} seconds)` });
+      }
+
+      // Audio: a completed /podcast-upload-chunk session, or a file under BEAT_AUDIO_DIR
+      let audioPath;
+      let audio;
+      let uploaded = false;
+      if (sessionId) {
+        const session = podcastSessions.get(sessionId);
+        if (!session) return sendJSON(res, 400, { error: 'Invalid or expired sessionId. Upload audio chunks first.' });
+        if (!session.complete) {
+          return sendJSON(res, 400, { error: `Audio upload incomplete: ${session.chunks.size}/${session.totalChunks} chunks received.` });
+        }
+        audioPath = session.audioPath;
+        audio = session.audio;
+        uploaded = true;
+      } else if (audioFile) {
+        if (!BEAT_AUDIO_DIR) return sendJSON(res, 400, { error: 'Local audio files are not enabled (VIDEO_API_BEAT_AUDIO_DIR unset)' });
+        try {
+          const root = fs.realpathSync(BEAT_AUDIO_DIR);
+          audioPath = fs.realpathSync(path.resolve(root, String(audioFile)));
+          if (!audioPath.startsWith(root + path.sep) || !fs.statSync(audioPath).isFile()) throw new Error();
+        } catch {
+          return sendJSON(res, 400, { error: `Audio file not found: ${audioFile}` });
+        }
+        audio = await probeAudio(audioPath, 'Audio file');
+      } else {
+        return sendJSON(res, 400, { error: 'Missing audio (sessionId or audioFile)' });
+      }
+      if (start >= audio.duration) {
+        return sendJSON(res, 400, { error: `startTime is past the end of the audio (${audio.duration}s)` });
+      }
+
+      // Never run past the end of the track: the bar and fade-out are timed to `duration`
+      const startTimeMs = Math.round(start * 1000);
+      const remaining = (Math.round(audio.duration * 1000) - startTimeMs) / 1000;
+
+      const opts = {
+        trackId: String(trackId),
+        audioPath,
+        startTime: startTimeMs / 1000,
+        duration: Math.min(Number(duration) || 30, MAX_BEAT_PREVIEW_S, remaining),
+        width: 1080,
+        height: format === 'vertical' ? 1920 : 1080,
+        accentColor,
+        visualizer: vizStyle,
+        overrides: {
+          title: body.title ? String(body.title).slice(0, 120) : null,
+          producer: body.producer ? String(body.producer).slice(0, 120) : null,
+          bpm: Math.round(Number(body.bpm)) || null,
+        },
+      };
+      if (preset) {
+        checkPresetRequest(body.preset, preset, { duration: opts.duration, pngs: {} });
+        Object.assign(opts, { preset: body.preset, width: preset.width, height: preset.height });
+      }
+
+      const job = createJob('beat', null, opts);
+      if (uploaded) {
+        job.files.push(audioPath);
+        podcastSessions.delete(sessionId); // session consumed
+      }
+      log(`Beat preview ${job.id} created (track ${opts.trackId}, ${opts.startTime}s +${opts.duration}s, ${opts.width}x${opts.height}${preset ? `, preset ${body.preset}` : ''}, audio=${uploaded ? 'upload' : path.basename(audioPath)})`);
+
+      enqueueJob(job, processBeatJob).catch(err => log(`Unhandled beat preview job error: ${err.message}`));
+
+      return sendJSON(res, 202, { jobId: job.id, queuePosition: queuePosition(job) });
+    } catch (err) {
+      log(`Beat preview request error: ${err.message}`);
+      return sendJSON(res, err.statusCode || 400, { error: err.message });
     }
   }
 
-  // POST /podcast-upload-chunk — receive one chunk of audio binary (≤4 MB each)
-  // Body: raw binary. Headers: x-session-id, x-chunk-index, x-total-chunks, x-file-ext
+  // POST /podcast-upload-chunk — receive one chunk of audio binary (≤4 MB each), in any order
+  // Body: raw binary. Headers: x-session-id, x-chunk-index, x-total-chunks, x-file-ext;
+  // x-chunk-size (bytes per chunk but the last; needed unless chunk 0 comes first),
+  // x-chunk-sha256, and x-file-size / x-file-sha256 (checked once all chunks are in)
   if (req.method === 'POST' && url.pathname === '/podcast-upload-chunk') {
     try {
       const sessionId = req.headers['x-session-id'];
       const chunkIndex = parseInt(req.headers['x-chunk-index'], 10);
       const totalChunks = parseInt(req.headers['x-total-chunks'], 10);
       const fileExt = (req.headers['x-file-ext'] || '.m4a').replace(/[^a-z0-9.]/gi, '');
+      const chunkSha256 = String(req.headers['x-chunk-sha256'] || '').toLowerCase();
+      const fileSha256 = String(req.headers['x-file-sha256'] || '').toLowerCase();
+      const fileSize = req.headers['x-file-size'] != null ? Number(req.headers['x-file-size']) : null;
 
       if (!sessionId || !(/^[a-f0-9]{16}$/.test(sessionId))) {
         return sendJSON(res, 400, { error: 'Invalid x-session-id' });
       }
-      if (isNaN(chunkIndex) || isNaN(totalChunks) || chunkIndex < 0 || totalChunks < 1) {
+      if (isNaN(chunkIndex) || isNaN(totalChunks) || chunkIndex < 0 || totalChunks < 1 || chunkIndex >= totalChunks) {
         return sendJSON(res, 400, { error: 'Invalid chunk headers' });
       }
+      if ((chunkSha256 && !/^[a-f0-9]{64}$/.test(chunkSha256)) || (fileSha256 && !/^[a-f0-9]{64}$/.test(fileSha256))) {
+        return sendJSON(res, 400, { error: 'Invalid x-chunk-sha256 / x-file-sha256 (hex SHA-256)' });
+      }
+      if (fileSize != null && !(Number.isInteger(fileSize) && fileSize > 0 && fileSize <= MAX_PODCAST_UPLOAD_BYTES)) {
+        return sendJSON(res, 400, { error: `Invalid x-file-size (max ${MAX_PODCAST_UPLOAD_BYTES / 1024 / 1024} MB)` });
+      }
 
       // Collect raw binary body (max 5 MB per chunk)
       const chunkData = await collectRawBody(req, 5 * 1024 * 1024);
+      const digest = crypto.createHash('sha256').update(chunkData).digest('hex');
+      if (chunkSha256 && chunkSha256 !== digest) {
+        return sendJSON(res, 400, { error: `Chunk ${chunkIndex} checksum mismatch (x-chunk-sha256) — resend it` });
+      }
 
       // Initialize session on first chunk
       if (!podcastSessions.has(sessionId)) {
+        const chunkSize = parseInt(req.headers['x-chunk-size'], 10) || (chunkIndex === 0 ? chunkData.length : 0);
+        if (!(chunkSize > 0)) {
+          return sendJSON(res, 400, { error: 'x-chunk-size is required when the first chunk sent is not chunk 0' });
+        }
         const audioPath = path.join(TEMP_DIR, `${sessionId}_audio${fileExt}`);
         podcastSessions.set(sessionId, {
           audioPath,
-          received: new Set(),
+          chunks: new Map(),
           totalChunks,
+          chunkSize,
+          fileSize: null,
+          fileSha256: null,
           ext: fileExt,
           createdAt: Date.now(),
+          updatedAt: Date.now(),
+          complete: false,
+          sha256: null,
+          audio: null,
         });
         // Pre-allocate empty file
         fs.writeFileSync(audioPath, Buffer.alloc(0));
-        log(`Podcast upload session ${sessionId}: started (${totalChunks} chunks, ext=${fileExt})`);
+        log(`Podcast upload session ${sessionId}: started (${totalChunks} chunks of ${chunkSize} bytes, ext=${fileExt})`);
       }
 
       const session = podcastSessions.get(sessionId);
+      if (totalChunks !== session.totalChunks) {
+        return sendJSON(res, 400, { error: `x-total-chunks changed mid-upload (session has ${session.totalChunks})` });
+      }
+      for (const [key, value] of [['fileSize', fileSize], ['fileSha256', fileSha256 || null]]) {
+        if (value == null) continue;
+        if (session[key] != null && session[key] !== value) {
+          return sendJSON(res, 400, { error: `x-${key === 'fileSize' ? 'file-size' : 'file-sha256'} changed mid-upload` });
+        }
+        session[key] = value;
+      }
 
-      // Append chunk to file (frontend sends chunks sequentially)
-      fs.appendFileSync(session.audioPath, chunkData);
-      session.received.add(chunkIndex);
+      // Write the chunk at its offset (a resent chunk overwrites itself); once the
+      // last one is in and verifying, late duplicates are ignored
+      if (!session.complete && !session.verifying) {
+        const isLast = chunkIndex === totalChunks - 1;
+        if (isLast ? chunkData.length > session.chunkSize || chunkData.length === 0 : chunkData.length !== session.chunkSize) {
+          return sendJSON(res, 400, { error: `Chunk ${chunkIndex} is ${chunkData.length} bytes, expected ${isLast ? `1–${session.chunkSize}` : session.chunkSize}` });
+        }
+        const offset = chunkIndex * session.chunkSize;
+        if (offset + chunkData.length > MAX_PODCAST_UPLOAD_BYTES) {
+          return sendJSON(res, 400, { error: `Audio upload exceeds ${MAX_PODCAST_UPLOAD_BYTES / 1024 / 1024} MB` });
+        }
+        const fd = fs.openSync(session.audioPath, 'r+');
+        try { fs.writeSync(fd, chunkData, 0, chunkData.length, offset); }
+        finally { fs.closeSync(fd); }
+        session.chunks.set(chunkIndex, { size: chunkData.length, sha256: digest });
+        session.updatedAt = Date.now();
+      }
 
-      const complete = session.received.size >= session.totalChunks;
-      if (complete) {
-        const fileSize = fs.statSync(session.audioPath).size;
-        log(`Podcast upload session ${sessionId}: complete (${(fileSize / 1024 / 1024).toFixed(1)} MB)`);
+      if (session.chunks.size === session.totalChunks && !session.complete) {
+        if (!session.verifying) session.verifying = verifyPodcastUpload(session);
+        try {
+          await session.verifying;
+        } catch (err) {
+          if (err.statusCode >= 500) {
+            // Server-side failure: keep the chunks, resending any chunk retries verification
+            session.verifying = null;
+            log(`Podcast upload session ${sessionId}: verification failed (${err.message})`);
+            return sendJSON(res, err.statusCode, { error: `${err.message}. Resend any chunk to retry.` });
+          }
+          // Can't tell which chunk is bad: start the upload over
+          podcastSessions.delete(sessionId);
+          fs.unlink(session.audioPath, () => {});
+          log(`Podcast upload session ${sessionId}: rejected (${err.message})`);
+          return sendJSON(res, 400, { error: err.message });
+        }
+        const { audio } = session;
+        log(`Podcast upload session ${sessionId}: complete (${(fs.statSync(session.audioPath).size / 1024 / 1024).toFixed(1)} MB, ${audio.codec} ${audio.sampleRate} Hz ${audio.channels}ch ${audio.duration}s, sha256 ${session.sha256.slice(0, 12)}…)`);
       }
 
       return sendJSON(res, 200, {
         ok: true,
-        received: session.received.size,
+        received: session.chunks.size,
         totalChunks: session.totalChunks,
-        complete,
+        complete: session.complete,
+        ...(session.complete && { sha256: session.sha256, audio: session.audio }),
       });
     } catch (err) {
       log(`Podcast chunk upload error: ${err.message}`);
@@ -902,6 +3522,23 @@ const server = http.createServer(async (req, res) => {
     }
   }
 
+  // GET /podcast-upload/:sessionId — upload progress, with the chunks still missing (to resume)
+  const uploadMatch = url.pathname.match(/^\/podcast-upload\/([a-f0-9]{16})$/);
+  if (req.method === 'GET' && uploadMatch) {
+    const session = podcastSessions.get(uploadMatch[1]);
+    if (!session) return sendJSON(res, 404, { error: 'Upload session not found (expired or never started)' });
+    return sendJSON(res, 200, {
+      sessionId: uploadMatch[1],
+      totalChunks: session.totalChunks,
+      chunkSize: session.chunkSize,
+      received: session.chunks.size,
+      missing: missingChunks(session),
+      bytesReceived: [...session.chunks.values()].reduce((sum, c) => sum + c.size, 0),
+      complete: session.complete,
+      ...(session.complete && { sha256: session.sha256, audio: session.audio }),
+    });
+  }
+
   // POST /podcast-downloaded — client confirms download started; delete after short grace period
   if (req.method === 'POST' && url.pathname === '/podcast-downloaded') {
     try {
@@ -914,7 +3551,7 @@ const server = http.createServer(async (req, res) => {
         fs.unlink(outputPath, (err) => {
           if (!err) log(`Podcast job ${jobId}: MP4 deleted after download grace period`);
         });
-        if (job) jobs.delete(jobId);
+        if (job) { jobs.delete(jobId); scheduleSaveJobs(); }
       }, PODCAST_DOWNLOADED_DELETE_DELAY_MS);
       return sendJSON(res, 200, { ok: true, queued: true });
     } catch (err) {
@@ -922,52 +3559,37 @@ const server = http.createServer(async (req, res) => {
     }
   }
 
-  // POST /podcast-cancel — cancel a running podcast render
-  if (req.method === 'POST' && url.pathname === '/podcast-cancel') {
+  // DELETE /jobs/:jobId, POST /jobs/:jobId/cancel — cancel any queued or running job
+  const cancelMatch = url.pathname.match(/^\/jobs\/([a-f0-9]{16})(\/cancel)?$/);
+  if (cancelMatch && ((req.method === 'DELETE' && !cancelMatch[2]) || (req.method === 'POST' && cancelMatch[2]))) {
+    return cancelJobRequest(res, jobs.get(cancelMatch[1]));
+  }
+
+  // POST /podcast-cancel, /gif-cancel — legacy per-type cancel (same as POST /jobs/:jobId/cancel)
+  if (req.method === 'POST' && (url.pathname === '/podcast-cancel' || url.pathname === '/gif-cancel')) {
     try {
       const body = await parseBody(req);
       const { jobId } = body;
       if (!jobId) return sendJSON(res, 400, { error: 'Missing jobId' });
-      const job = jobs.get(jobId);
-      if (!job) return sendJSON(res, 404, { error: 'Job not found' });
-      if (job._ffmpegProc) {
-        try { job._ffmpegProc.kill('SIGKILL'); } catch {}
-        log(`Podcast job ${jobId}: cancelled (ffmpeg killed)`);
-      }
-      job.status = 'error';
-      job.error = 'Cancelled by user';
-      // Cleanup temp files
-      const framePath = path.join(TEMP_DIR, `${jobId}_frame.png`);
-      const frameLitPath = path.join(TEMP_DIR, `${jobId}_frame_lit.png`);
-      const outputPath = path.join(OUTPUT_DIR, `${jobId}.mp4`);
-      fs.unlink(framePath, () => {});
-      fs.unlink(frameLitPath, () => {});
-      fs.unlink(outputPath, () => {});
-      if (job.opts?.audioPath) fs.unlink(job.opts.audioPath, () => {});
-      podcastRenderActive = false;
-      return sendJSON(res, 200, { ok: true });
+      return cancelJobRequest(res, jobs.get(jobId));
     } catch (err) {
       return sendJSON(res, 400, { error: err.message });
     }
   }
 
-  // POST /podcast-export — JSON body with sessionId + full-frame PNG + metadata → composited podcast MP4
+  // POST /podcast-export — JSON or multipart body with sessionId + full-frame PNG + metadata → composited podcast MP4
   if (req.method === 'POST' && url.pathname === '/podcast-export') {
     try {
-      if (podcastRenderActive) {
-        return sendJSON(res, 429, { error: 'A podcast render is already in progress. Please wait.' });
-      }
-
-      const body = await parseBody(req);
-      const { sessionId, framePng, frameLitPng, duration: rawDuration, width: rawWidth, height: rawHeight, accentColor: rawAccent, progressBar: rawPb, timerInfo: rawTi, waveformRegion: rawWr } = body;
+      const body = await parseRenderBody(req, res);
+      const { sessionId, framePng, frameLitPng, duration: rawDuration, width: rawWidth, height: rawHeight, accentColor: rawAccent, progressBar: rawPb, timerInfo: rawTi, waveformRegion: rawWr, visualizer: rawViz } = body;
 
       // Validate session — audio must be fully uploaded
       if (!sessionId || !podcastSessions.has(sessionId)) {
         return sendJSON(res, 400, { error: 'Invalid or expired sessionId. Upload audio chunks first.' });
       }
       const session = podcastSessions.get(sessionId);
-      if (session.received.size < session.totalChunks) {
-        return sendJSON(res, 400, { error: `Audio upload incomplete: ${session.received.size}/${session.totalChunks} chunks received.` });
+      if (!session.complete) {
+        return sendJSON(res, 400, { error: `Audio upload incomplete: ${session.chunks.size}/${session.totalChunks} chunks received.` });
       }
       const audioPath = session.audioPath;
       if (!fs.existsSync(audioPath)) {
@@ -975,13 +3597,21 @@ const server = http.createServer(async (req, res) => {
         return sendJSON(res, 400, { error: 'Audio file not found. Please re-upload.' });
       }
 
-      if (!framePng || !framePng.startsWith('data:image/png;base64,')) {
-        return sendJSON(res, 400, { error: 'Invalid framePng (must be PNG data URL)' });
+      if (!isPngLayer(framePng)) {
+        return sendJSON(res, 400, { error: 'Invalid framePng (must be PNG data URL or file part)' });
+      }
+      if (frameLitPng && !isPngLayer(frameLitPng)) {
+        return sendJSON(res, 400, { error: 'Invalid frameLitPng (must be PNG data URL or file part)' });
       }
 
-      const duration = Math.min(Number(rawDuration) || 900, 7200);
-      const width = Number(rawWidth) || 1920;
-      const height = Number(rawHeight) || 1080;
+      // The probed length drives the render; a client duration can only shorten it
+      const { audio } = session;
+      const duration = Number(rawDuration) > 0 ? Math.min(Number(rawDuration), audio.duration) : audio.duration;
+      const preset = resolveOutputPreset(body.preset);
+      const branding = await resolveBranding(body.branding, { duration });
+      if (preset) checkPresetRequest(body.preset, preset, { duration: duration + (branding ? branding.extraDuration : 0), pngs: { framePng, frameLitPng } });
+      const width = preset ? preset.width : Number(rawWidth) || 1920;
+      const height = preset ? preset.height : Number(rawHeight) || 1080;
       const accentColor = rawAccent || null;
 
       let progressBar = null;
@@ -1018,8 +3648,49 @@ const server = http.createServer(async (req, res) => {
         }
       }
 
-      const job = createJob('podcast', {
+      // Server-drawn visualizer inside waveformRegion (frameLitPng is then not used)
+      let visualizer = null;
+      if (rawViz != null) {
+        const style = typeof rawViz === 'string' ? rawViz : rawViz && rawViz.style;
+        const color = (rawViz && rawViz.color) || accentColor;
+        if (!VISUALIZER_STYLES.includes(style)) {
+          return sendJSON(res, 400, { error: `Invalid visualizer style (must be ${VISUALIZER_STYLES.map(v => `'${v}'`).join(', ')})` });
+        }
+        if (!waveformRegion || waveformRegion.w < 16 || waveformRegion.h < 16) {
+          return sendJSON(res, 400, { error: 'visualizer needs a waveformRegion of at least 16x16' });
+        }
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+          return sendJSON(res, 400, { error: 'visualizer needs a #RRGGBB color (visualizer.color or accentColor)' });
+        }
+        visualizer = { style, color };
+      }
+
+      // Captions (clip time — the podcast always starts at 0)
+      const captions = body.captions != null ? mapCuesToClip(parseCaptions(body.captions), { duration }) : null;
+      const captionStyle = captions ? parseCaptionStyle(body.captionStyle) : null;
+
+      const audioProcessing = parseAudioProcessing(body.audioProcessing);
+      const chapters = body.chapters != null ? parseChapters(body.chapters, duration) : null;
+      let chapterTitle = null;
+      if (chapters && body.chapterTitle && typeof body.chapterTitle === 'object') {
+        const ct = body.chapterTitle;
+        const color = ct.color == null ? '#FFFFFF' : ct.color;
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+          return sendJSON(res, 400, { error: 'Invalid chapterTitle.color (must be #RRGGBB)' });
+        }
+        chapterTitle = {
+          x: Math.max(0, Math.round(Number(ct.x) || 0)),
+          y: Math.max(0, Math.round(Number(ct.y) || 0)),
+          w: Math.max(0, Math.round(Number(ct.w) || 0)) || null,
+          fontSize: Math.min(200, Math.max(8, Math.round(Number(ct.fontSize) || 36))),
+          color,
+          opacity: ct.opacity != null ? Math.min(1, Math.max(0, Number(ct.opacity) || 0)) : 0.9,
+        };
+      }
+
+      const job = createJob('podcast', 'podcast', {
         audioPath,
+        audio,
         framePng,
         frameLitPng: frameLitPng || null,
         duration,
@@ -1029,17 +3700,30 @@ const server = http.createServer(async (req, res) => {
         timerInfo,
         waveformRegion,
         accentColor,
+        visualizer,
+        captions,
+        captionStyle,
+        chapters,
+        chapterTitle,
+        audioProcessing,
+        branding,
+        ...(preset && { preset: body.preset }),
       });
       job.lastPolled = Date.now();
+      job.files.push(audioPath);
+      job.result = { audio };
+      if (chapters) {
+        const youtube = youtubeChapterText(chapters);
+        Object.assign(job.result, { chapters, chapterText: youtube.text, youtubeReady: youtube.youtubeReady });
+      }
 
-      podcastRenderActive = true;
       podcastSessions.delete(sessionId); // session consumed
-      log(`Podcast job ${job.id} created (${duration}s, ${width}x${height}, audio=${(fs.statSync(audioPath).size / 1024 / 1024).toFixed(1)} MB)`);
+      log(`Podcast job ${job.id} created (${duration}s, ${width}x${height}${preset ? `, preset ${body.preset}` : ''}${visualizer ? `, visualizer ${visualizer.style}` : ''}${captions ? `, ${captions.length} caption cues` : ''}${chapters ? `, ${chapters.length} chapters` : ''}${audioProcessing && audioProcessing.loudness ? `, ${audioProcessing.loudness.target} LUFS` : ''}${branding ? ', branded' : ''}, audio=${audio.codec} ${(fs.statSync(audioPath).size / 1024 / 1024).toFixed(1)} MB)`);
 
       // Process async — don't await
-      processPodcastJob(job).catch(err => log(`Unhandled podcast job error: ${err.message}`));
+      enqueueJob(job, processPodcastJob).catch(err => log(`Unhandled podcast job error: ${err.message}`));
 
-      return sendJSON(res, 202, { jobId: job.id });
+      return sendJSON(res, 202, { jobId: job.id, queuePosition: queuePosition(job) });
     } catch (err) {
       log(`Podcast export request error: ${err.message}`);
       return sendJSON(res, 400, { error: err.message });
@@ -1049,51 +3733,94 @@ const server = http.createServer(async (req, res) => {
   // POST /export
   if (req.method === 'POST' && url.pathname === '/export') {
     try {
-      const body = await parseBody(req);
-      const { videoId, overlayPng, duration = 10, withAudio = false, width = 1080, height = 1350, progressBar, timerInfo, accentColor } = body;
+      const body = await parseRenderBody(req, res);
+      const { videoId, targets, duration = 10, timeline, withAudio = false } = body;
 
       if (!videoId || typeof videoId !== 'string' || !/^[a-zA-Z0-9_-]{11}$/.test(videoId)) {
         return sendJSON(res, 400, { error: 'Invalid videoId' });
       }
-      if (!overlayPng || !overlayPng.startsWith('data:image/png;base64,')) {
-        return sendJSON(res, 400, { error: 'Invalid overlayPng (must be PNG data URL)' });
+      if (timeline != null && timeline !== 'clip' && timeline !== 'source') {
+        return sendJSON(res, 400, { error: "Invalid timeline (must be 'clip' or 'source')" });
       }
+      let ranges;
+      try { ranges = parseClipRanges(body); }
+      catch (err) { return sendJSON(res, 400, { error: err.message }); }
 
-      const opts = {
-        overlayPng,
-        duration: Math.min(Number(duration) || 10, 120),
+      // Clip selection shared by every render of the request
+      const base = {
+        duration: Math.min(Number(duration) || 10, MAX_EXPORT_DURATION_S),
         withAudio: !!withAudio,
-        width: Number(width) || 1080,
-        height: Number(height) || 1350,
       };
-      // Pass progress bar geometry + accent color for animated bar in ffmpeg
-      if (progressBar && typeof progressBar === 'object' && accentColor) {
-        opts.progressBar = {
-          x: Math.round(Number(progressBar.x) || 0),
-          y: Math.round(Number(progressBar.y) || 0),
-          w: Math.round(Number(progressBar.w) || 0),
-          h: Math.round(Number(progressBar.h) || 0),
-        };
-        opts.accentColor = String(accentColor);
-      }
-      if (timerInfo && typeof timerInfo === 'object') {
-        opts.timerInfo = {
-          x: Math.round(Number(timerInfo.x) || 0),
-          y: Math.round(Number(timerInfo.y) || 0),
-          fontSize: Math.round(Number(timerInfo.fontSize) || 27),
-          color: String(timerInfo.color || '#FFFFFF'),
-          opacity: Number(timerInfo.opacity) || 0.5,
-        };
+      // With ranges only those sections of the video are downloaded, then joined
+      if (ranges) {
+        base.ranges = ranges;
+        base.duration = Math.round(ranges.reduce((sum, r) => sum + r.end - r.start, 0) * 1000) / 1000;
+        if (timeline === 'source') base.timeline = 'source';
+      }
+      // Captions: cue times are clip time, or source timestamps with captions.timeline 'source'
+      if (body.captions != null) {
+        const captionTimeline = body.captions && body.captions.timeline;
+        if (captionTimeline != null && captionTimeline !== 'clip' && captionTimeline !== 'source') {
+          return sendJSON(res, 400, { error: "Invalid captions.timeline (must be 'clip' or 'source')" });
+        }
+        if (captionTimeline === 'source' && !ranges) {
+          return sendJSON(res, 400, { error: "captions.timeline 'source' needs startTime or ranges" });
+        }
+        base.captions = mapCuesToClip(parseCaptions(body.captions), {
+          duration: base.duration,
+          ranges: captionTimeline === 'source' ? ranges : null,
+        });
+      }
+      const branding = await resolveBranding(body.branding, { duration: base.duration });
+      if (branding) base.branding = branding;
+      const clipLabel = `${ranges ? `${ranges.map(r => `${r.start}–${r.end}s`).join(' + ')}, ` : ''}${base.duration}s, audio=${base.withAudio}${base.captions ? `, ${base.captions.length} caption cues` : ''}${branding ? ', branded' : ''}`;
+
+      // targets: one overlay per aspect ratio → a job group rendering from one cached source
+      if (targets != null) {
+        if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_EXPORT_TARGETS) {
+          return sendJSON(res, 400, { error: `targets must be a list of 1–${MAX_EXPORT_TARGETS} renders` });
+        }
+        const renders = targets.map((target, i) => {
+          const t = target && typeof target === 'object' ? target : {};
+          // focus/crop at the top level apply to every target that doesn't set its own
+          const shared = { accentColor: body.accentColor, captionStyle: body.captionStyle, ...(t.focus == null && t.crop == null && { focus: body.focus, crop: body.crop }) };
+          const opts = exportRenderOpts({ ...shared, ...t }, base, `targets[${i}].`);
+          return { name: String(t.name || t.preset || `${opts.width}x${opts.height}`).slice(0, 64), opts };
+        });
+        if (new Set(renders.map(r => r.name)).size !== renders.length) {
+          return sendJSON(res, 400, { error: 'Target names must be unique (set targets[].name)' });
+        }
+
+        const group = createJob('group', videoId, {});
+        const children = renders.map(({ name, opts }) => {
+          const job = createJob('export', videoId, opts);
+          Object.assign(job, { groupId: group.id, target: name });
+          return job;
+        });
+        group.children = children.map(job => job.id);
+        log(`Group ${group.id} created for video ${videoId} (${clipLabel}, targets=${renders.map(r => r.name).join(', ')})`);
+
+        // Renders share the source download/cache; they only differ in the final composite
+        for (const job of children) {
+          enqueueJob(job, processJob).catch(err => log(`Unhandled job error: ${err.message}`));
+        }
+
+        return sendJSON(res, 202, {
+          jobId: group.id,
+          jobs: children.map(job => ({ target: job.target, jobId: job.id })),
+          queuePosition: queuePosition(group),
+        });
       }
 
-      const job = createJob(videoId, opts);
+      const opts = exportRenderOpts(body, base);
+      const job = createJob('export', videoId, opts);
 
-      log(`Job ${job.id} created for video ${videoId} (${job.opts.duration}s, audio=${job.opts.withAudio}, progressBar=${opts.progressBar ? JSON.stringify(opts.progressBar) : 'none'}, accent=${opts.accentColor || 'none'})`);
+      log(`Job ${job.id} created for video ${videoId} (${opts.preset ? `preset ${opts.preset}, ` : ''}${clipLabel}, progressBar=${opts.progressBar ? JSON.stringify(opts.progressBar) : 'none'}, accent=${opts.accentColor || 'none'})`);
 
       // Process async — don't await
-      processJob(job).catch(err => log(`Unhandled job error: ${err.message}`));
+      enqueueJob(job, processJob).catch(err => log(`Unhandled job error: ${err.message}`));
 
-      return sendJSON(res, 202, { jobId: job.id });
+      return sendJSON(res, 202, { jobId: job.id, queuePosition: queuePosition(job) });
     } catch (err) {
       return sendJSON(res, 400, { error: err.message });
     }
@@ -1105,8 +3832,20 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, '127.0.0.1', () => {
   log(`Video Export API listening on http://127.0.0.1:${PORT}`);
+  if (!API_SECRET) log('  ⚠ VIDEO_API_SECRET not set — auth disabled (do not expose this port publicly)');
   log(`  yt-dlp: ${YT_DLP}`);
   log(`  ffmpeg: ${FFMPEG}`);
   log(`  cache:  ${CACHE_DIR}`);
   log(`  output: ${OUTPUT_DIR}`);
 });
+
+// Flush the job store before systemd stops/restarts us (debounced writes may be pending)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    log(`Received ${signal}, saving job store and exiting`);
+    saveJobs();
+    saveImageCacheIndex();
+    saveVideoCacheIndex();
+    process.exit(0);
+  });
+}
@@ -14,6 +14,7 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 require('./load-env');
+const { beatPassTrackUrl, normalizeBeatPassTrack } = require('./beatpass-api');
 
 // ── Config ─────────────────────────────────────────────────────────────────────
 
@@ -22,7 +23,6 @@ const ADMIN_KEY_ID = process.env.GHOST_ADMIN_KEY_ID;
 const ADMIN_KEY_SECRET = process.env.GHOST_ADMIN_KEY_SECRET;
 const CHANNEL_ID = process.env.YOUTUBE_CHANNEL_ID;
 const CHANNEL_HANDLE = process.env.YOUTUBE_CHANNEL_HANDLE;
-const BEATPASS_API = 'https://open.beatpass.ca/api/v1';
 const STATE_FILE = path.join(__dirname, 'youtube-sync-state.json');
 const LOG_PREFIX = () => `[${new Date().toISOString()}]`;
 const TRACK_LINK_RE = /https?:\/\/open\.beatpass\.ca\/track\/(\d+)(?:\/[^\s)\]]+)?/i;
@@ -253,15 +253,7 @@ function parseDescription(desc, videoTitle) {
 
 async function fetchBeatPassTrack(trackId) {
   try {
-    const data = await fetchJSON(`${BEATPASS_API}/tracks/${trackId}`);
-    const t = data.track;
-    return {
-      name: t.name,
-      image: t.image,
-      duration: t.duration_text,
-      genres: t.genres.map(g => g.display_name),
-      artists: t.artists.map(a => ({ name: a.name, id: a.id }))
-    };
+    return normalizeBeatPassTrack(await fetchJSON(beatPassTrackUrl(trackId)));
   } catch (e) {
     log(`  ⚠ BeatPass API failed for track ${trackId}: ${e.message}`);
     return null;